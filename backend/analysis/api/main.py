@@ -1,3 +1,5 @@
+import hashlib
+import json
 import os
 import sys
 from contextlib import asynccontextmanager
@@ -82,6 +84,18 @@ def ds(data, columns):
     return parquet.read_table(source=source).select(columns)
 
 
+def load_factor_catalog():
+    """
+    读取config.yml中的因子目录，并根据内容生成版本号
+    """
+    databases = config.load_yaml(config_path).get('factor_catalog') or []
+    content = json.dumps(databases, ensure_ascii=False, sort_keys=True)
+    return {
+        'version': hashlib.md5(content.encode('utf-8')).hexdigest(),
+        'databases': databases
+    }
+
+
 def clickhouse_client(request: Request):
     return request.app.state.clickhouse
 
@@ -151,6 +165,35 @@ async def base_stock(dcb=Depends(duckdb_client)):
     return data.to_pylist()
 
 
+@app.get("/api/analysis/v1/factor/catalog")
+async def factor_catalog():
+    return load_factor_catalog()
+
+
+@app.get("/api/analysis/v1/factor/range")
+async def factor_range(db: str, tb: str, client=Depends(clickhouse_client)):
+    if not db:
+        raise HTTPException(status_code=400, detail="Database name is required")
+
+    if not tb:
+        raise HTTPException(status_code=400, detail="Table name is required")
+
+    full_table_name = f"{db}.{tb.replace('.', '_').upper()}"
+
+    query = (engine.
+             select("formatDateTime(min(created_at), '%Y-%m-%d %H:%i:%S') as start_time",
+                    "formatDateTime(max(created_at), '%Y-%m-%d %H:%i:%S') as end_time").
+             from_(full_table_name).sql(dialect='clickhouse'))
+
+    result = client.query_arrow(query)
+    return {
+        'db': db,
+        'tb': tb,
+        'start_time': result['start_time'].to_pylist()[0],
+        'end_time': result['end_time'].to_pylist()[0]
+    }
+
+
 @app.post("/api/analysis/v1/factor/query")
 async def some_endpoint(data: dict, client=Depends(clickhouse_client)):
     database = data.get('db', '')
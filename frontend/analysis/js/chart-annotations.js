@@ -0,0 +1,424 @@
+/**
+ * 图表标注模块
+ * 在multiGridChart的任意数据视图上绘制水平线、垂直线、趋势线、矩形和文本标注
+ *
+ * 功能特性:
+ * - 标注按数据坐标（时间、数值）保存，缩放和平移后仍停留在原位置
+ * - 按股票保存到Dexie数据库的annotations表，切换股票时加载对应的标注
+ * - 点击已有标注可删除，Esc取消正在进行的绘制
+ *
+ * 标注记录格式: {id, symbol, grid, type, points: [[time, value], ...], text, color, created_at}
+ * time为毫秒时间戳（实际时间），连续交易时段坐标等横坐标变换通过toAxisTime/toWallTime完成
+ * 标注绘制在每个数据视图单独的辅助序列上，不进入页面的option.series，图表重建后需调用render
+ */
+
+class ChartAnnotations {
+    constructor(chart, db, options = {}) {
+        this.chart = chart;
+        this.db = db;
+        this.getGridCount = options.getGridCount || (() => 1);
+        this.toAxisTime = options.toAxisTime || (time => time);
+        this.toWallTime = options.toWallTime || (value => value);
+
+        this.symbol = '';
+        this.annotations = [];   // 当前股票的标注
+        this.tool = null;        // 当前绘制工具
+        this.pending = null;     // 两点标注的第一个点 {grid, point}
+
+        this.callbacks = {
+            onChange: [],
+            onToolChange: []
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * 标注类型及名称
+     */
+    static get TYPES() {
+        return {
+            hline: '水平线',
+            vline: '垂直线',
+            trend: '趋势线',
+            rect: '矩形',
+            text: '文本'
+        };
+    }
+
+    /**
+     * 各类型的默认颜色
+     */
+    static get COLORS() {
+        return {
+            hline: '#e6a23c',
+            vline: '#909399',
+            trend: '#409eff',
+            rect: '#67c23a',
+            text: '#f56c6c'
+        };
+    }
+
+    /**
+     * 需要两个点的标注类型
+     */
+    static isTwoPoint(type) {
+        return type === 'trend' || type === 'rect';
+    }
+
+    /**
+     * 生成标注id
+     */
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * 格式化标注数值
+     */
+    static formatValue(value) {
+        return String(Number(value.toFixed(4)));
+    }
+
+    /**
+     * 绑定图表事件
+     */
+    bindEvents() {
+        const zr = this.chart.getZr();
+
+        zr.on('click', (event) => {
+            if (this.tool) {
+                this.handleDrawClick(event.offsetX, event.offsetY);
+            }
+        });
+
+        zr.on('mousemove', () => {
+            if (this.tool) {
+                zr.setCursorStyle('crosshair');
+            }
+        });
+
+        // 未选择绘制工具时点击标注可删除
+        this.chart.on('click', (params) => {
+            if (this.tool || !String(params.seriesId || '').startsWith('annotation-')) {
+                return;
+            }
+            const id = params.data && params.data.annotationId;
+            const annotation = this.annotations.find(item => item.id === id);
+            if (annotation && confirm(`确定要删除该${ChartAnnotations.TYPES[annotation.type]}标注吗？`)) {
+                this.remove(id);
+            }
+        });
+
+        $(document).on('keydown', (event) => {
+            if (event.key === 'Escape' && this.tool) {
+                this.setTool(null);
+            }
+        });
+    }
+
+    /**
+     * 加载指定股票的标注
+     */
+    async load(symbol) {
+        this.symbol = symbol || '';
+        this.pending = null;
+
+        try {
+            this.annotations = await this.db.annotations.where('symbol').equals(this.symbol).sortBy('created_at');
+        } catch (error) {
+            console.error('加载图表标注失败:', error);
+            this.annotations = [];
+        }
+
+        this.render();
+        this.triggerCallback('onChange', this.getAll());
+    }
+
+    /**
+     * 设置绘制工具，null表示退出绘制
+     */
+    setTool(tool) {
+        this.tool = ChartAnnotations.TYPES[tool] ? tool : null;
+        this.pending = null;
+        if (!this.tool) {
+            this.chart.getZr().setCursorStyle('default');
+        }
+        this.render();
+        this.triggerCallback('onToolChange', this.tool);
+    }
+
+    /**
+     * 像素位置转换为所在数据视图和数据坐标
+     * @returns {{grid: number, point: [number, number]}|null}
+     */
+    locate(x, y) {
+        for (let grid = 0; grid < this.getGridCount(); grid++) {
+            if (this.chart.containPixel({gridIndex: grid}, [x, y])) {
+                const [axisValue, value] = this.chart.convertFromPixel({gridIndex: grid}, [x, y]);
+                return {grid, point: [this.toWallTime(axisValue), value]};
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 处理绘制时的点击
+     */
+    async handleDrawClick(x, y) {
+        const location = this.locate(x, y);
+        if (!location) {
+            return;
+        }
+
+        const type = this.tool;
+        if (ChartAnnotations.isTwoPoint(type) && !this.pending) {
+            this.pending = location;
+            this.render();
+            return;
+        }
+
+        const annotation = {
+            id: ChartAnnotations.createId(),
+            symbol: this.symbol,
+            grid: location.grid,
+            type: type,
+            points: [location.point],
+            text: '',
+            color: ChartAnnotations.COLORS[type],
+            created_at: Date.now()
+        };
+
+        if (ChartAnnotations.isTwoPoint(type)) {
+            // 两点标注以第一个点所在的数据视图为准
+            annotation.grid = this.pending.grid;
+            annotation.points = [this.pending.point, location.point];
+        } else if (type === 'text') {
+            const text = window.prompt('请输入标注文本');
+            if (text === null || text.trim() === '') {
+                this.setTool(null);
+                return;
+            }
+            annotation.text = text.trim();
+        }
+
+        this.setTool(null);
+        await this.add(annotation);
+    }
+
+    /**
+     * 添加标注
+     */
+    async add(annotation) {
+        try {
+            await this.db.annotations.put(annotation);
+        } catch (error) {
+            console.error('保存图表标注失败:', error);
+            alert('保存标注失败: ' + error.message);
+            return;
+        }
+        this.annotations.push(annotation);
+        this.render();
+        this.triggerCallback('onChange', this.getAll());
+    }
+
+    /**
+     * 删除标注
+     */
+    async remove(id) {
+        try {
+            await this.db.annotations.delete(id);
+        } catch (error) {
+            console.error('删除图表标注失败:', error);
+            return;
+        }
+        this.annotations = this.annotations.filter(annotation => annotation.id !== id);
+        this.render();
+        this.triggerCallback('onChange', this.getAll());
+    }
+
+    /**
+     * 清除当前股票的全部标注
+     */
+    async clear() {
+        try {
+            await this.db.annotations.where('symbol').equals(this.symbol).delete();
+        } catch (error) {
+            console.error('清除图表标注失败:', error);
+            return;
+        }
+        this.annotations = [];
+        this.render();
+        this.triggerCallback('onChange', this.getAll());
+    }
+
+    /**
+     * 获取当前股票的标注（用于保存页面布局）
+     */
+    getAll() {
+        return this.annotations.map(annotation => ({...annotation, points: annotation.points.map(point => [...point])}));
+    }
+
+    /**
+     * 导入标注（恢复页面布局时），id相同的标注会被覆盖，导入后重新加载当前股票的标注
+     */
+    async importAnnotations(annotations) {
+        if (!Array.isArray(annotations) || annotations.length === 0) {
+            return;
+        }
+        try {
+            await this.db.annotations.bulkPut(annotations);
+        } catch (error) {
+            console.error('导入图表标注失败:', error);
+        }
+        await this.load(this.symbol);
+    }
+
+    /**
+     * 转换为图表坐标
+     */
+    toCoord(point) {
+        return [this.toAxisTime(point[0]), point[1]];
+    }
+
+    /**
+     * 生成单个数据视图的辅助序列：线类标注用markLine，矩形用markArea，文本和待完成的点用markPoint
+     */
+    buildGridSeries(grid) {
+        const lines = [];
+        const areas = [];
+        const points = [];
+
+        this.annotations.filter(annotation => annotation.grid === grid).forEach(annotation => {
+            const id = annotation.id;
+            const color = annotation.color || ChartAnnotations.COLORS[annotation.type];
+            const [first, second] = annotation.points;
+
+            switch (annotation.type) {
+                case 'hline':
+                    lines.push({
+                        annotationId: id,
+                        yAxis: first[1],
+                        lineStyle: {color: color, type: 'solid', width: 1.5},
+                        label: {show: true, position: 'insideEndTop', color: color, formatter: ChartAnnotations.formatValue(first[1])}
+                    });
+                    break;
+                case 'vline':
+                    lines.push({
+                        annotationId: id,
+                        xAxis: this.toAxisTime(first[0]),
+                        lineStyle: {color: color, type: 'solid', width: 1.5},
+                        label: {show: false}
+                    });
+                    break;
+                case 'trend':
+                    lines.push([
+                        {annotationId: id, coord: this.toCoord(first), lineStyle: {color: color, type: 'solid', width: 1.5}, label: {show: false}},
+                        {annotationId: id, coord: this.toCoord(second)}
+                    ]);
+                    break;
+                case 'rect':
+                    areas.push([
+                        {annotationId: id, coord: this.toCoord(first), itemStyle: {color: color, opacity: 0.15, borderColor: color, borderWidth: 1}},
+                        {annotationId: id, coord: this.toCoord(second)}
+                    ]);
+                    break;
+                case 'text':
+                    // formatter为字符串时会替换其中的 {a}、{b}、{c} 等模板变量，用函数原样返回文本
+                    points.push({
+                        annotationId: id,
+                        coord: this.toCoord(first),
+                        symbol: 'circle',
+                        symbolSize: 6,
+                        itemStyle: {color: color},
+                        label: {show: true, position: 'top', color: color, fontSize: 12, formatter: () => annotation.text}
+                    });
+                    break;
+            }
+        });
+
+        if (this.pending && this.pending.grid === grid) {
+            points.push({
+                coord: this.toCoord(this.pending.point),
+                symbol: 'circle',
+                symbolSize: 8,
+                itemStyle: {color: ChartAnnotations.COLORS[this.tool]},
+                label: {show: false}
+            });
+        }
+
+        return {
+            id: `annotation-${grid}`,
+            type: 'line',
+            xAxisIndex: grid,
+            yAxisIndex: grid,
+            data: [],
+            z: 10,
+            markLine: {symbol: ['none', 'none'], animation: false, data: lines},
+            markArea: {animation: false, data: areas},
+            markPoint: {animation: false, data: points}
+        };
+    }
+
+    /**
+     * 获取各数据视图的辅助序列（图片导出时一并渲染）
+     */
+    getSeries() {
+        const series = [];
+        for (let grid = 0; grid < this.getGridCount(); grid++) {
+            series.push(this.buildGridSeries(grid));
+        }
+        return series;
+    }
+
+    /**
+     * 将标注绘制到图表，页面以notMerge方式重建图表后需要重新调用
+     */
+    render() {
+        this.chart.setOption({series: this.getSeries()});
+    }
+
+    /**
+     * 添加事件回调
+     */
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    }
+
+    /**
+     * 触发回调函数
+     */
+    triggerCallback(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`❌ 回调函数执行失败 [${event}]:`, error);
+                }
+            });
+        }
+    }
+}
+
+// 全局图表标注实例
+window.chartAnnotations = null;
+
+// 图表标注模块初始化函数
+function initChartAnnotationsModule(chart, db, options) {
+    try {
+        window.chartAnnotations = new ChartAnnotations(chart, db, options);
+        console.log('✅ 图表标注模块初始化完成');
+        return window.chartAnnotations;
+    } catch (error) {
+        console.error('❌ 图表标注模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {ChartAnnotations, initChartAnnotationsModule};
+}
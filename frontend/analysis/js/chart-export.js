@@ -0,0 +1,309 @@
+/**
+ * 图表导出模块
+ * 负责将分析页面中已绘制的序列导出为文件
+ *
+ * 导出格式:
+ * - CSV: 前4行为表头（symbol/factor/database/grid），之后每行一个时间点，按时间并集对齐，缺失值留空
+ *        pandas可用 read_csv(path, header=[0, 1, 2, 3], index_col=0) 读取
+ * - JSON: 列式结构，schema.fields描述列名、类型及元数据，columns为等长数组
+ *         可直接用 pyarrow.Table.from_pydict(obj['columns']) 转换并写入Parquet
+ * - PNG/SVG: 离屏重新渲染当前图表和图表标注，附带标题和图例
+ */
+
+class ChartExporter {
+    constructor(chart, options = {}) {
+        this.chart = chart;
+        // 返回当前option（用于图片导出）
+        this.getOption = options.getOption || (() => chart.getOption());
+        // 返回待导出的序列 [{name, grid, record, data}]，data为原始 [time, value]
+        this.getSeries = options.getSeries || (() => []);
+        // 返回导出标题
+        this.getTitle = options.getTitle || (() => '因子分析');
+        // 返回图表标注的辅助序列，图片导出时追加到序列之后
+        this.getAnnotationSeries = options.getAnnotationSeries || (() => []);
+
+        this.pixelRatio = 3;      // PNG导出倍率
+        this.titleHeight = 56;    // 图片顶部标题和图例区域高度(px)
+    }
+
+    /**
+     * 生成导出用的列定义，列名重复时追加序号
+     */
+    buildColumns() {
+        const used = new Map();
+
+        return this.getSeries().map(s => {
+            const record = s.record || {};
+            const base = record.tb ? `${record.tb}:${record.cs}` : s.name;
+            const count = (used.get(base) || 0) + 1;
+            used.set(base, count);
+
+            return {
+                name: count > 1 ? `${base}#${count}` : base,
+                symbol: record.tb || '',
+                factor: record.cs || s.name,
+                database: record.db || '',
+                grid: s.grid + 1,
+                start_time: record.start_time || null,
+                end_time: record.end_time || null,
+                data: s.data || []
+            };
+        });
+    }
+
+    /**
+     * 将所有序列按时间并集对齐为行
+     * 同一序列中时间相同的数据点各占一行（tick数据常见），不会相互覆盖；
+     * 某一时间的行数取各序列在该时间的最大点数，点数不足的序列补null
+     * @returns {{times: number[], values: Array<Array>}} values[列][行]，times可能包含重复时间
+     */
+    alignRows(columns) {
+        const cursors = columns.map(() => 0);
+        const times = [];
+        const values = columns.map(() => []);
+
+        SeriesAligner.unionTimes(columns.map(column => column.data)).forEach(time => {
+            // 各序列在该时间的数据点
+            const groups = columns.map((column, i) => {
+                const group = [];
+                while (cursors[i] < column.data.length && column.data[cursors[i]][0] === time) {
+                    group.push(column.data[cursors[i]][1]);
+                    cursors[i]++;
+                }
+                return group;
+            });
+
+            const rows = Math.max(...groups.map(group => group.length));
+            for (let row = 0; row < rows; row++) {
+                times.push(time);
+                groups.forEach((group, i) => values[i].push(row < group.length ? group[row] : null));
+            }
+        });
+
+        return {times, values};
+    }
+
+    /**
+     * 导出CSV
+     */
+    exportCSV() {
+        const columns = this.buildColumns();
+        if (columns.length === 0) {
+            throw new Error('没有可导出的数据');
+        }
+
+        const {times, values} = this.alignRows(columns);
+        const lines = [
+            ['symbol', ...columns.map(column => column.symbol)],
+            ['factor', ...columns.map(column => column.factor)],
+            ['database', ...columns.map(column => column.database)],
+            ['grid', ...columns.map(column => column.grid)]
+        ].map(row => row.map(ChartExporter.escapeCSV).join(','));
+
+        times.forEach((time, i) => {
+            const row = [ChartExporter.formatTime(time)];
+            values.forEach(column => row.push(column[i] === null ? '' : column[i]));
+            lines.push(row.map(ChartExporter.escapeCSV).join(','));
+        });
+
+        // 添加BOM以便Excel正确识别UTF-8中文
+        const blob = new Blob(['\uFEFF' + lines.join('\n')], {type: 'text/csv;charset=utf-8'});
+        this.download(blob, 'csv');
+    }
+
+    /**
+     * 导出列式JSON
+     */
+    exportJSON() {
+        const columns = this.buildColumns();
+        if (columns.length === 0) {
+            throw new Error('没有可导出的数据');
+        }
+
+        const {times, values} = this.alignRows(columns);
+        const exportData = {
+            format: 'analysis-series',
+            version: 1,
+            exported_at: new Date().toISOString(),
+            title: this.getTitle(),
+            num_rows: times.length,
+            schema: {
+                fields: [
+                    {name: 'time', type: 'timestamp[ms]', nullable: false},
+                    ...columns.map((column, i) => ({
+                        name: column.name,
+                        type: ChartExporter.inferType(values[i]),
+                        nullable: true,
+                        metadata: {
+                            symbol: column.symbol,
+                            factor: column.factor,
+                            database: column.database,
+                            grid: column.grid,
+                            start_time: column.start_time,
+                            end_time: column.end_time
+                        }
+                    }))
+                ]
+            },
+            columns: {
+                time: times
+            }
+        };
+        columns.forEach((column, i) => {
+            exportData.columns[column.name] = values[i];
+        });
+
+        const blob = new Blob([JSON.stringify(exportData)], {type: 'application/json'});
+        this.download(blob, 'json');
+    }
+
+    /**
+     * 导出图片
+     * @param {string} type - 'png' 或 'svg'
+     */
+    exportImage(type = 'png') {
+        const source = this.chart.getDom();
+        const width = source.clientWidth;
+        const height = source.clientHeight;
+
+        // 离屏容器，额外留出标题区域
+        const container = document.createElement('div');
+        container.style.cssText = `position: fixed; left: -99999px; top: 0; width: ${width}px; height: ${height + this.titleHeight}px;`;
+        document.body.appendChild(container);
+
+        const offscreen = echarts.init(container, null, {renderer: type === 'svg' ? 'svg' : 'canvas'});
+        try {
+            offscreen.setOption(this.buildImageOption(height), true);
+            const url = offscreen.getDataURL({
+                type: type,
+                pixelRatio: type === 'svg' ? 1 : this.pixelRatio,
+                backgroundColor: this.getOption().backgroundColor || '#fff'
+            });
+            this.downloadURL(url, type);
+        } finally {
+            offscreen.dispose();
+            container.remove();
+        }
+    }
+
+    /**
+     * 生成图片导出用的option：加标题、强制显示图例、加上标注、去掉滑块并保持当前缩放范围
+     */
+    buildImageOption(height) {
+        const option = this.getOption();
+        const current = this.chart.getOption();
+        const offset = this.titleHeight;
+        const toPixel = (value) => typeof value === 'string' && value.endsWith('%')
+            ? parseFloat(value) / 100 * height
+            : value;
+
+        const textColor = (option.legend && option.legend.textStyle && option.legend.textStyle.color) || '#606266';
+        const seriesNames = [...new Set(option.series.map(s => s.name))];
+
+        return {
+            ...option,
+            animation: false,
+            title: {
+                text: this.getTitle(),
+                left: 'center',
+                top: 8,
+                textStyle: {color: textColor, fontSize: 14}
+            },
+            legend: {
+                ...(option.legend || {}),
+                show: true,
+                data: seriesNames,
+                top: 30,
+                textStyle: {color: textColor, fontSize: 12}
+            },
+            grid: option.grid.map(grid => ({
+                ...grid,
+                top: toPixel(grid.top) + offset,
+                height: toPixel(grid.height)
+            })),
+            tooltip: {show: false},
+            series: [...option.series, ...this.getAnnotationSeries()],
+            dataZoom: (current.dataZoom || [])
+                .filter(zoom => zoom.type === 'inside')
+                .map(zoom => ({
+                    type: 'inside',
+                    xAxisIndex: zoom.xAxisIndex,
+                    start: zoom.start,
+                    end: zoom.end,
+                    filterMode: 'filter'
+                }))
+        };
+    }
+
+    /**
+     * 下载Blob
+     */
+    download(blob, extension) {
+        const url = URL.createObjectURL(blob);
+        this.downloadURL(url, extension);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 通过链接下载
+     */
+    downloadURL(url, extension) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `analysis_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+        link.click();
+        console.log(`💾 分析图表已导出: ${extension.toUpperCase()}`);
+    }
+
+    /**
+     * 格式化时间为 'YYYY-MM-DD HH:mm:ss'（本地时间）
+     */
+    static formatTime(time) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * CSV字段转义
+     */
+    static escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 根据列数据推断类型
+     */
+    static inferType(values) {
+        const sample = values.find(value => value !== null && value !== undefined);
+        if (typeof sample === 'number') {
+            return values.every(value => value === null || Number.isInteger(value)) ? 'int64' : 'double';
+        }
+        if (typeof sample === 'boolean') {
+            return 'bool';
+        }
+        return 'string';
+    }
+}
+
+// 全局图表导出器实例
+window.chartExporter = null;
+
+// 图表导出模块初始化函数
+function initChartExportModule(chart, options) {
+    try {
+        window.chartExporter = new ChartExporter(chart, options);
+        console.log('✅ 图表导出模块初始化完成');
+        return window.chartExporter;
+    } catch (error) {
+        console.error('❌ 图表导出模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {ChartExporter, initChartExportModule};
+}
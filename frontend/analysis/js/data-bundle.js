@@ -0,0 +1,222 @@
+/**
+ * 数据包导入导出模块
+ * 将查询历史、页面布局、图表标注和图表配置导出为带版本号的JSON文件，并从文件导入合并到本地数据库
+ *
+ * 数据包格式:
+ * {
+ *   format: 'analysis-bundle', version: 1, exported_at,
+ *   tables: {query_history: [...], page_layout: [...], annotations: [...]},
+ *   config: {chartConfig, theme}
+ * }
+ *
+ * 导入规则:
+ * - 先校验格式、版本和每条记录（按RecordSchema），必需字段不合法的记录有任何一条则整体不导入，
+ *   未知字段和不合法的可选字段（如颜色）清除后导入
+ * - 内容相同的记录（不计主键和收藏状态）视为重复并跳过
+ * - 主键与本地不同内容的记录冲突时分配新的主键后写入
+ * - 图表配置只在页面确认后写入
+ */
+
+class DataBundle {
+    constructor(db, options = {}) {
+        this.db = db;
+        // 返回当前图表配置 {chartConfig, theme}
+        this.getConfig = options.getConfig || (() => ({}));
+    }
+
+    /**
+     * 数据包格式标识
+     */
+    static get FORMAT() {
+        return 'analysis-bundle';
+    }
+
+    /**
+     * 数据包格式版本
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * 各表的主键和记录清理函数
+     */
+    static get TABLES() {
+        return {
+            query_history: {key: 'time', sanitize: RecordSchema.sanitizeQuery},
+            page_layout: {key: 'save_time', sanitize: RecordSchema.sanitizeLayout},
+            annotations: {key: 'id', sanitize: RecordSchema.sanitizeAnnotation}
+        };
+    }
+
+    /**
+     * 记录内容签名：去掉主键和收藏状态后的JSON（按字段名排序）
+     */
+    static signature(record, key) {
+        const content = {};
+        Object.keys(record).sort().forEach(field => {
+            if (field !== key && field !== 'starred') {
+                content[field] = record[field];
+            }
+        });
+        return JSON.stringify(content);
+    }
+
+    /**
+     * 校验数据包，不合法时抛出错误
+     * @returns {Object} 记录清理后的数据包
+     */
+    static validate(bundle) {
+        if (!bundle || bundle.format !== DataBundle.FORMAT) {
+            throw new Error('不是有效的数据包文件');
+        }
+        if (bundle.version !== DataBundle.VERSION) {
+            throw new Error(`不支持的数据包版本: ${bundle.version}`);
+        }
+        if (!bundle.tables || typeof bundle.tables !== 'object') {
+            throw new Error('数据包缺少tables');
+        }
+
+        const tables = {};
+        Object.entries(DataBundle.TABLES).forEach(([table, {sanitize}]) => {
+            const records = bundle.tables[table];
+            if (records === undefined) {
+                return;
+            }
+            if (!Array.isArray(records)) {
+                throw new Error(`${table} 必须是数组`);
+            }
+            tables[table] = records.map((record, index) => {
+                const sanitized = sanitize(record);
+                if (!sanitized) {
+                    throw new Error(`${table} 第${index + 1}条记录无效`);
+                }
+                return sanitized;
+            });
+        });
+        return {...bundle, tables};
+    }
+
+    /**
+     * 生成数据包
+     */
+    async build() {
+        const tables = {};
+        for (const table of Object.keys(DataBundle.TABLES)) {
+            tables[table] = await this.db[table].toArray();
+        }
+
+        return {
+            format: DataBundle.FORMAT,
+            version: DataBundle.VERSION,
+            exported_at: new Date().toISOString(),
+            tables: tables,
+            config: this.getConfig()
+        };
+    }
+
+    /**
+     * 导出数据包并下载
+     * @returns {Promise<Object>} 各表导出的记录数
+     */
+    async exportFile() {
+        const bundle = await this.build();
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], {type: 'application/json'});
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `analysis_bundle_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        const counts = {};
+        Object.entries(bundle.tables).forEach(([table, records]) => counts[table] = records.length);
+        return counts;
+    }
+
+    /**
+     * 读取数据包文件并校验
+     */
+    static async readFile(file) {
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('文件不是有效的JSON');
+        }
+        return DataBundle.validate(bundle);
+    }
+
+    /**
+     * 合并数据包中的记录到本地数据库
+     * @returns {Promise<Object>} 各表的 {added, skipped}
+     */
+    async merge(bundle) {
+        bundle = DataBundle.validate(bundle);
+        const summary = {};
+        const tables = Object.keys(DataBundle.TABLES).map(table => this.db[table]);
+
+        await this.db.transaction('rw', tables, async () => {
+            for (const [table, {key}] of Object.entries(DataBundle.TABLES)) {
+                summary[table] = await this.mergeTable(table, key, bundle.tables[table] || []);
+            }
+        });
+        return summary;
+    }
+
+    /**
+     * 合并单张表：跳过内容重复的记录，主键冲突时分配新主键
+     */
+    async mergeTable(table, key, records) {
+        const existing = await this.db[table].toArray();
+        const signatures = new Set(existing.map(record => DataBundle.signature(record, key)));
+        const keys = new Set(existing.map(record => record[key]));
+        let nextNumber = existing.reduce((max, record) => typeof record[key] === 'number' ? Math.max(max, record[key]) : max, Date.now());
+        let suffix = 0;
+
+        const added = [];
+        let skipped = 0;
+        records.forEach(record => {
+            const signature = DataBundle.signature(record, key);
+            if (signatures.has(signature)) {
+                skipped++;
+                return;
+            }
+
+            const copy = {...record};
+            // 新主键也可能与已有或本次导入的主键相同，直到不冲突为止
+            while (keys.has(copy[key])) {
+                copy[key] = typeof record[key] === 'number' ? ++nextNumber : `${record[key]}-${(++suffix).toString(36)}`;
+            }
+            signatures.add(signature);
+            keys.add(copy[key]);
+            added.push(copy);
+        });
+
+        if (added.length > 0) {
+            await this.db[table].bulkAdd(added);
+        }
+        return {added: added.length, skipped};
+    }
+}
+
+// 全局数据包实例
+window.dataBundle = null;
+
+// 数据包模块初始化函数
+function initDataBundleModule(db, options) {
+    try {
+        window.dataBundle = new DataBundle(db, options);
+        console.log('✅ 数据包模块初始化完成');
+        return window.dataBundle;
+    } catch (error) {
+        console.error('❌ 数据包模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {DataBundle, initDataBundleModule};
+}
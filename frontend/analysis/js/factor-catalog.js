@@ -0,0 +1,218 @@
+/**
+ * 因子目录模块
+ * 从后端目录接口加载因子库/因子元数据，并缓存到Dexie数据库
+ *
+ * 功能特性:
+ * - 启动时优先使用本地缓存渲染，随后与服务端版本比对
+ * - 目录版本变化时更新缓存并通知页面刷新下拉列表
+ * - 定时及页面重新可见时自动检查目录更新
+ * - 按标的缓存因子数据的可用时间范围
+ */
+
+class FactorCatalogManager {
+    constructor(db, urls = {}) {
+        this.db = db;
+        this.catalogUrl = urls.catalog || '/api/analysis/v1/factor/catalog';
+        this.rangeUrl = urls.range || '/api/analysis/v1/factor/range';
+
+        this.catalog = {version: null, databases: []};
+        this.refreshInterval = 5 * 60 * 1000; // 每5分钟检查一次目录版本
+        this.rangeTTL = 10 * 60 * 1000;       // 时间范围缓存10分钟
+        this.refreshTimer = null;
+
+        this.callbacks = {
+            onChange: []
+        };
+    }
+
+    /**
+     * 加载因子目录：先读本地缓存，再向服务端校验版本
+     * @returns {Promise<Object>} 当前目录
+     */
+    async load() {
+        try {
+            const cached = await this.db.factor_catalog.orderBy('updated_at').last();
+            if (cached) {
+                this.catalog = {version: cached.version, databases: cached.databases};
+                this.triggerCallback('onChange', this.catalog);
+            }
+        } catch (error) {
+            console.error('读取因子目录缓存失败:', error);
+        }
+
+        await this.refresh();
+        return this.catalog;
+    }
+
+    /**
+     * 从服务端拉取目录，版本变化时写入缓存并触发onChange
+     * @returns {Promise<boolean>} 目录是否发生变化
+     */
+    async refresh() {
+        let remote;
+        try {
+            remote = await $.getJSON(this.catalogUrl);
+        } catch (error) {
+            console.error('获取因子目录失败:', error);
+            return false;
+        }
+
+        if (!remote || remote.version === this.catalog.version) {
+            return false;
+        }
+
+        this.catalog = {version: remote.version, databases: remote.databases || []};
+
+        try {
+            // 只保留最新版本的目录
+            await this.db.transaction('rw', this.db.factor_catalog, async () => {
+                await this.db.factor_catalog.clear();
+                await this.db.factor_catalog.put({
+                    version: this.catalog.version,
+                    databases: this.catalog.databases,
+                    updated_at: Date.now()
+                });
+            });
+        } catch (error) {
+            console.error('保存因子目录缓存失败:', error);
+        }
+
+        console.log(`📚 因子目录已更新: ${this.catalog.version}`);
+        this.triggerCallback('onChange', this.catalog);
+        return true;
+    }
+
+    /**
+     * 启动目录自动刷新
+     */
+    startAutoRefresh() {
+        this.stopAutoRefresh();
+        this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+
+        this.visibilityHandler = () => {
+            if (document.visibilityState === 'visible') {
+                this.refresh();
+            }
+        };
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+    }
+
+    /**
+     * 停止目录自动刷新
+     */
+    stopAutoRefresh() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+    }
+
+    /**
+     * 获取全部因子库
+     */
+    getDatabases() {
+        return this.catalog.databases;
+    }
+
+    /**
+     * 根据因子库标识获取因子库
+     */
+    getDatabase(dbVolume) {
+        return this.catalog.databases.find(db => db.db_volume === dbVolume) || null;
+    }
+
+    /**
+     * 获取单个因子的元数据
+     */
+    getFactor(dbVolume, factorVolume) {
+        const database = this.getDatabase(dbVolume);
+        if (!database) {
+            return null;
+        }
+        return database.factors.find(factor => factor.volume === factorVolume) || null;
+    }
+
+    /**
+     * 获取指定标的在因子库中的可用时间范围
+     * @param {string} dbVolume - 因子库
+     * @param {string} symbol - 标的，如 SZSE.000858
+     * @returns {Promise<{start_time, end_time}|null>}
+     */
+    async getRange(dbVolume, symbol) {
+        const key = `${dbVolume}|${symbol}`;
+
+        try {
+            const cached = await this.db.factor_range.get(key);
+            if (cached && Date.now() - cached.updated_at < this.rangeTTL) {
+                return cached;
+            }
+        } catch (error) {
+            console.error('读取时间范围缓存失败:', error);
+        }
+
+        try {
+            const range = await $.getJSON(this.rangeUrl, {db: dbVolume, tb: symbol});
+            const record = {
+                key: key,
+                db: dbVolume,
+                tb: symbol,
+                start_time: range.start_time,
+                end_time: range.end_time,
+                updated_at: Date.now()
+            };
+            await this.db.factor_range.put(record);
+            return record;
+        } catch (error) {
+            console.error('获取因子时间范围失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 添加事件回调
+     */
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    }
+
+    /**
+     * 触发回调函数
+     */
+    triggerCallback(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`❌ 回调函数执行失败 [${event}]:`, error);
+                }
+            });
+        }
+    }
+}
+
+// 全局因子目录管理器实例
+window.factorCatalogManager = null;
+
+// 因子目录模块初始化函数
+function initFactorCatalogModule(db, urls) {
+    try {
+        window.factorCatalogManager = new FactorCatalogManager(db, urls);
+        console.log('✅ 因子目录模块初始化完成');
+        return window.factorCatalogManager;
+    } catch (error) {
+        console.error('❌ 因子目录模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {FactorCatalogManager, initFactorCatalogModule};
+}
@@ -0,0 +1,440 @@
+/**
+ * 派生因子表达式模块
+ * 负责解析并计算由已加载序列组合而成的派生因子，例如 price - ma(price, 20)、zscore(last-volume, 100)、a / b
+ *
+ * 语法说明:
+ * - 运算符: + - * / ^ 及括号，一元负号
+ * - 变量: 已加载序列的因子名（如 price、last-volume、前驱值），或用反引号引用的完整名称（如 `SZSE.000858:price`）
+ * - 因子名可以包含 '-'，因此两个变量相减时 '-' 两侧需要留空格（a - b）
+ * - 函数: ma/ema/std/zscore(x, n)、diff/pct/shift(x, n=1)、abs/log/sqrt(x)、max/min(a, b)
+ *
+ * 计算方式:
+ * - 所有引用的序列先按时间并集前向填充对齐，窗口长度按对齐后的数据点个数计算
+ * - 结果中非有限值（窗口未满、除零等）不输出
+ */
+
+class FactorExpression {
+    constructor(text) {
+        this.text = String(text || '').trim();
+        if (!this.text) {
+            throw new Error('表达式不能为空');
+        }
+        this.ast = FactorExpression.parse(this.text);
+    }
+
+    /**
+     * 支持的函数: args为[最少参数, 最多参数]，窗口参数必须为正整数常量
+     */
+    static get FUNCTIONS() {
+        return {
+            ma: {args: [2, 2], fn: (x, n) => FactorExpression.rollingMean(x, n)},
+            ema: {args: [2, 2], fn: (x, n) => FactorExpression.ema(x, n)},
+            std: {args: [2, 2], fn: (x, n) => FactorExpression.rollingStd(x, n)},
+            zscore: {args: [2, 2], fn: (x, n) => FactorExpression.zscore(x, n)},
+            diff: {args: [1, 2], fn: (x, n = 1) => FactorExpression.lag(x, n, (cur, prev) => cur - prev)},
+            pct: {args: [1, 2], fn: (x, n = 1) => FactorExpression.lag(x, n, (cur, prev) => cur / prev - 1)},
+            shift: {args: [1, 2], fn: (x, n = 1) => FactorExpression.lag(x, n, (cur, prev) => prev)},
+            abs: {args: [1, 1], fn: (x) => FactorExpression.map(x, Math.abs)},
+            log: {args: [1, 1], fn: (x) => FactorExpression.map(x, Math.log)},
+            sqrt: {args: [1, 1], fn: (x) => FactorExpression.map(x, Math.sqrt)},
+            max: {args: [2, 2], fn: (a, b) => FactorExpression.binary(a, b, Math.max)},
+            min: {args: [2, 2], fn: (a, b) => FactorExpression.binary(a, b, Math.min)}
+        };
+    }
+
+    /**
+     * 词法分析
+     * @returns {Array<{type: string, value: *, pos: number}>}
+     */
+    static tokenize(text) {
+        const tokens = [];
+        const isNameStart = (ch) => /[\p{L}_]/u.test(ch);
+        const isNameChar = (ch) => /[\p{L}\p{N}_]/u.test(ch);
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (/[0-9.]/.test(ch)) {
+                const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i));
+                if (!match) {
+                    throw new Error(`无法识别的数字 (位置 ${i + 1})`);
+                }
+                tokens.push({type: 'number', value: parseFloat(match[0]), pos: i});
+                i += match[0].length;
+            } else if (ch === '`') {
+                const end = text.indexOf('`', i + 1);
+                if (end === -1) {
+                    throw new Error(`反引号未闭合 (位置 ${i + 1})`);
+                }
+                tokens.push({type: 'name', value: text.slice(i + 1, end), pos: i});
+                i = end + 1;
+            } else if (isNameStart(ch)) {
+                let end = i + 1;
+                // '-' 紧跟字母时视为名称的一部分，如 last-volume
+                while (end < text.length && (isNameChar(text[end]) ||
+                    (text[end] === '-' && end + 1 < text.length && isNameStart(text[end + 1])))) {
+                    end++;
+                }
+                tokens.push({type: 'name', value: text.slice(i, end), pos: i});
+                i = end;
+            } else if ('+-*/^(),'.includes(ch)) {
+                tokens.push({type: ch, value: ch, pos: i});
+                i++;
+            } else {
+                throw new Error(`无法识别的字符 '${ch}' (位置 ${i + 1})`);
+            }
+        }
+
+        tokens.push({type: 'end', value: null, pos: text.length});
+        return tokens;
+    }
+
+    /**
+     * 语法分析（递归下降），返回语法树
+     */
+    static parse(text) {
+        const tokens = FactorExpression.tokenize(text);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const expect = (type) => {
+            const token = next();
+            if (token.type !== type) {
+                throw new Error(`缺少 '${type}' (位置 ${token.pos + 1})`);
+            }
+            return token;
+        };
+
+        // expr := term (('+' | '-') term)*
+        const parseExpr = () => {
+            let node = parseTerm();
+            while (peek().type === '+' || peek().type === '-') {
+                const op = next().type;
+                node = {type: 'binary', op, left: node, right: parseTerm()};
+            }
+            return node;
+        };
+
+        // term := unary (('*' | '/') unary)*
+        const parseTerm = () => {
+            let node = parseUnary();
+            while (peek().type === '*' || peek().type === '/') {
+                const op = next().type;
+                node = {type: 'binary', op, left: node, right: parseUnary()};
+            }
+            return node;
+        };
+
+        // unary := '-' unary | power
+        const parseUnary = () => {
+            if (peek().type === '-') {
+                next();
+                return {type: 'negate', operand: parseUnary()};
+            }
+            return parsePower();
+        };
+
+        // power := primary ('^' unary)?
+        const parsePower = () => {
+            const node = parsePrimary();
+            if (peek().type === '^') {
+                next();
+                return {type: 'binary', op: '^', left: node, right: parseUnary()};
+            }
+            return node;
+        };
+
+        // primary := number | name | name '(' args ')' | '(' expr ')'
+        const parsePrimary = () => {
+            const token = next();
+
+            if (token.type === 'number') {
+                return {type: 'number', value: token.value};
+            }
+
+            if (token.type === '(') {
+                const node = parseExpr();
+                expect(')');
+                return node;
+            }
+
+            if (token.type === 'name') {
+                if (peek().type !== '(') {
+                    return {type: 'variable', name: token.value};
+                }
+
+                const spec = FactorExpression.FUNCTIONS[token.value];
+                if (!spec) {
+                    throw new Error(`未知函数 '${token.value}' (位置 ${token.pos + 1})`);
+                }
+
+                next();
+                const args = [];
+                if (peek().type !== ')') {
+                    args.push(parseExpr());
+                    while (peek().type === ',') {
+                        next();
+                        args.push(parseExpr());
+                    }
+                }
+                expect(')');
+
+                if (args.length < spec.args[0] || args.length > spec.args[1]) {
+                    throw new Error(`函数 ${token.value} 的参数个数不正确 (位置 ${token.pos + 1})`);
+                }
+                return {type: 'call', name: token.value, args};
+            }
+
+            throw new Error(token.type === 'end'
+                ? '表达式不完整'
+                : `意外的 '${token.value}' (位置 ${token.pos + 1})`);
+        };
+
+        const ast = parseExpr();
+        if (peek().type !== 'end') {
+            throw new Error(`意外的 '${peek().value}' (位置 ${peek().pos + 1})`);
+        }
+        return ast;
+    }
+
+    /**
+     * 获取表达式中引用的变量名（去重，按出现顺序）
+     */
+    getVariables() {
+        const names = [];
+        const walk = (node) => {
+            switch (node.type) {
+                case 'variable':
+                    if (!names.includes(node.name)) {
+                        names.push(node.name);
+                    }
+                    break;
+                case 'negate':
+                    walk(node.operand);
+                    break;
+                case 'binary':
+                    walk(node.left);
+                    walk(node.right);
+                    break;
+                case 'call':
+                    node.args.forEach(walk);
+                    break;
+            }
+        };
+        walk(this.ast);
+        return names;
+    }
+
+    /**
+     * 计算表达式
+     * @param {Function} resolve - (name) => Array<[time, value]>，找不到时应抛出异常
+     * @returns {Array<[number, number]>} 按时间排序的数据点
+     */
+    evaluate(resolve) {
+        const names = this.getVariables();
+        if (names.length === 0) {
+            throw new Error('表达式至少需要引用一个序列');
+        }
+
+        const pairsList = names.map(name => resolve(name));
+        const times = SeriesAligner.unionTimes(pairsList);
+        const columns = new Map(names.map((name, i) => [name, FactorExpression.fillColumn(pairsList[i], times)]));
+
+        const result = this.evaluateNode(this.ast, columns, times.length);
+        const values = typeof result === 'number' ? new Float64Array(times.length).fill(result) : result;
+
+        const pairs = [];
+        times.forEach((time, i) => {
+            if (Number.isFinite(values[i])) {
+                pairs.push([time, values[i]]);
+            }
+        });
+        return pairs;
+    }
+
+    /**
+     * 计算语法树节点，常量返回number，序列返回Float64Array
+     */
+    evaluateNode(node, columns, length) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                return columns.get(node.name);
+            case 'negate':
+                return FactorExpression.map(this.evaluateNode(node.operand, columns, length), value => -value);
+            case 'binary': {
+                const left = this.evaluateNode(node.left, columns, length);
+                const right = this.evaluateNode(node.right, columns, length);
+                return FactorExpression.binary(left, right, FactorExpression.OPERATORS[node.op]);
+            }
+            case 'call': {
+                const spec = FactorExpression.FUNCTIONS[node.name];
+                const args = node.args.map((arg, i) => {
+                    const value = this.evaluateNode(arg, columns, length);
+                    // 除max/min外，第二个参数为窗口长度
+                    if (i === 1 && !['max', 'min'].includes(node.name)) {
+                        if (typeof value !== 'number' || !Number.isInteger(value) || value < 1) {
+                            throw new Error(`函数 ${node.name} 的窗口参数必须为正整数`);
+                        }
+                    } else if (i === 0 && typeof value === 'number' && !['max', 'min'].includes(node.name)) {
+                        return new Float64Array(length).fill(value);
+                    }
+                    return value;
+                });
+                return spec.fn(...args);
+            }
+        }
+        throw new Error(`无法计算的节点: ${node.type}`);
+    }
+
+    /**
+     * 二元运算符
+     */
+    static get OPERATORS() {
+        return {
+            '+': (a, b) => a + b,
+            '-': (a, b) => a - b,
+            '*': (a, b) => a * b,
+            '/': (a, b) => a / b,
+            '^': (a, b) => Math.pow(a, b)
+        };
+    }
+
+    /**
+     * 将序列前向填充到统一时间轴，首个有效值之前为NaN
+     */
+    static fillColumn(pairs, times) {
+        const column = new Float64Array(times.length);
+        let cursor = 0;
+        let last = NaN;
+
+        times.forEach((time, i) => {
+            while (cursor < pairs.length && pairs[cursor][0] <= time) {
+                const value = Number(pairs[cursor][1]);
+                last = pairs[cursor][1] === null ? last : value;
+                cursor++;
+            }
+            column[i] = last;
+        });
+        return column;
+    }
+
+    /**
+     * 逐元素计算
+     */
+    static map(x, fn) {
+        return typeof x === 'number' ? fn(x) : x.map(fn);
+    }
+
+    /**
+     * 逐元素二元计算，支持常量与序列混合
+     */
+    static binary(a, b, fn) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return fn(a, b);
+        }
+        const length = typeof a === 'number' ? b.length : a.length;
+        const result = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            result[i] = fn(typeof a === 'number' ? a : a[i], typeof b === 'number' ? b : b[i]);
+        }
+        return result;
+    }
+
+    /**
+     * 与n个点之前的值计算
+     */
+    static lag(x, n, fn) {
+        const result = new Float64Array(x.length).fill(NaN);
+        for (let i = n; i < x.length; i++) {
+            result[i] = fn(x[i], x[i - n]);
+        }
+        return result;
+    }
+
+    /**
+     * 滚动均值，窗口内存在NaN时结果为NaN
+     */
+    static rollingMean(x, n) {
+        const result = new Float64Array(x.length).fill(NaN);
+        let sum = 0;
+        let valid = 0;
+
+        for (let i = 0; i < x.length; i++) {
+            if (!isNaN(x[i])) {
+                sum += x[i];
+                valid++;
+            }
+            if (i >= n && !isNaN(x[i - n])) {
+                sum -= x[i - n];
+                valid--;
+            }
+            if (i >= n - 1 && valid === n) {
+                result[i] = sum / n;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 滚动样本标准差（ddof=1）
+     */
+    static rollingStd(x, n) {
+        const result = new Float64Array(x.length).fill(NaN);
+        if (n < 2) {
+            return result;
+        }
+
+        const mean = FactorExpression.rollingMean(x, n);
+        for (let i = n - 1; i < x.length; i++) {
+            if (isNaN(mean[i])) {
+                continue;
+            }
+            let squares = 0;
+            for (let j = i - n + 1; j <= i; j++) {
+                squares += (x[j] - mean[i]) ** 2;
+            }
+            result[i] = Math.sqrt(squares / (n - 1));
+        }
+        return result;
+    }
+
+    /**
+     * 指数移动平均，alpha = 2 / (n + 1)，从首个有效值开始
+     */
+    static ema(x, n) {
+        const result = new Float64Array(x.length).fill(NaN);
+        const alpha = 2 / (n + 1);
+        let last = NaN;
+
+        for (let i = 0; i < x.length; i++) {
+            if (isNaN(x[i])) {
+                continue;
+            }
+            last = isNaN(last) ? x[i] : alpha * x[i] + (1 - alpha) * last;
+            result[i] = last;
+        }
+        return result;
+    }
+
+    /**
+     * 滚动标准分
+     */
+    static zscore(x, n) {
+        const mean = FactorExpression.rollingMean(x, n);
+        const std = FactorExpression.rollingStd(x, n);
+        return x.map((value, i) => (value - mean[i]) / std[i]);
+    }
+}
+
+// 导出给其他模块使用
+window.FactorExpression = FactorExpression;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {FactorExpression};
+}
@@ -0,0 +1,216 @@
+/**
+ * 因子查询模块
+ * 负责向后端 /api/analysis/v1/factor/query 发起因子数据请求
+ *
+ * 功能特性:
+ * - 单因子查询
+ * - 多因子并行批量查询
+ * - 共享进度回调
+ * - 按因子汇总成功/失败结果
+ * - 可选的本地查询缓存（QueryCache），只请求未缓存的时间区间
+ * - 长时间范围按时间分段依次请求，每段返回后回调，便于逐步渲染
+ * - 取消全部在途查询
+ */
+
+class FactorQueryManager {
+    constructor(url = '/api/analysis/v1/factor/query') {
+        this.url = url;
+        // 同时在途的最大请求数，避免一次性压满ClickHouse
+        this.maxConcurrency = 4;
+        this.cache = null;
+        // 分段查询的时间跨度（秒），一天的逐笔数据作为一段
+        this.chunkSeconds = 24 * 60 * 60;
+
+        this.pending = new Set();   // 在途请求（jqXHR）
+        this.generation = 0;        // 每次取消后递增，用于终止尚未发出的分段
+    }
+
+    /**
+     * 将 [start, end] 按chunkSeconds切分为首尾相接的闭区间（秒）
+     * @returns {Array<[number, number]>}
+     */
+    splitRange(start, end) {
+        const chunks = [];
+        for (let from = start; from <= end; from += this.chunkSeconds) {
+            chunks.push([from, Math.min(from + this.chunkSeconds - 1, end)]);
+        }
+        return chunks;
+    }
+
+    /**
+     * 取消全部在途及尚未发出的查询，被取消的查询以 error.cancelled = true 拒绝
+     */
+    cancel() {
+        this.generation++;
+        this.pending.forEach(xhr => xhr.abort());
+        this.pending.clear();
+    }
+
+    /**
+     * 生成取消错误
+     */
+    static cancelledError() {
+        const error = new Error('查询已取消');
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * 设置查询缓存，传入null时直接请求后端
+     * @param {QueryCache|null} cache
+     */
+    setCache(cache) {
+        this.cache = cache;
+    }
+
+    /**
+     * 查询单个因子：按时间分段依次请求，设置了缓存时每段优先从缓存读取
+     * @param {Object} params - {db, tb, cs, start_time, end_time}，时间为秒级时间戳
+     * @param {Function} onChunk - 分段回调 (response, finishedChunks, totalChunks)，response只含该段数据
+     * @returns {Promise<Object>} 格式与后端一致的响应；传入onChunk时数据已逐段交给回调，不再合并，data为空
+     */
+    async query(params, onChunk) {
+        const generation = this.generation;
+        const chunks = this.splitRange(params.start_time, params.end_time);
+        const merged = {
+            db: params.db,
+            tb: params.tb,
+            cs: params.cs,
+            start_time: null,
+            end_time: null,
+            data: {data: [], created_at: []}
+        };
+
+        for (let i = 0; i < chunks.length; i++) {
+            if (generation !== this.generation) {
+                throw FactorQueryManager.cancelledError();
+            }
+
+            const chunkParams = {...params, start_time: chunks[i][0], end_time: chunks[i][1]};
+            const response = this.cache
+                ? await this.cache.fetch(chunkParams, (missing) => this.request(missing))
+                : await this.request(chunkParams);
+
+            // 缓存命中时不经过网络，取消需在这里再次检查
+            if (generation !== this.generation) {
+                throw FactorQueryManager.cancelledError();
+            }
+
+            merged.start_time = merged.start_time || response.start_time;
+            merged.end_time = response.end_time;
+
+            if (typeof onChunk === 'function') {
+                onChunk(response, i + 1, chunks.length);
+                continue;
+            }
+
+            // 单段数据量可能很大，逐个追加避免展开参数超出调用栈限制
+            for (let j = 0; j < response.data.data.length; j++) {
+                merged.data.data.push(response.data.data[j]);
+                merged.data.created_at.push(response.data.created_at[j]);
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * 向后端请求单个因子
+     * @param {Object} params - {db, tb, cs, start_time, end_time}
+     * @returns {Promise<Object>} 后端响应
+     */
+    request(params) {
+        return new Promise((resolve, reject) => {
+            const xhr = $.ajax({
+                url: this.url,
+                type: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    db: params.db,
+                    tb: params.tb,
+                    cs: params.cs,
+                    start_time: params.start_time,
+                    end_time: params.end_time
+                }),
+                success: (response) => resolve(response),
+                error: (xhr, status, error) => {
+                    if (status === 'abort') {
+                        reject(FactorQueryManager.cancelledError());
+                        return;
+                    }
+                    const detail = xhr.responseJSON && xhr.responseJSON.detail;
+                    reject(new Error(detail || error || status || '请求失败'));
+                },
+                complete: () => this.pending.delete(xhr)
+            });
+            this.pending.add(xhr);
+        });
+    }
+
+    /**
+     * 批量查询多个因子
+     * 单个因子失败不会中断其他因子，结果按传入顺序返回
+     * @param {Array<Object>} paramsList - 查询参数列表
+     * @param {Function} onProgress - 进度回调 (finished, total, result)
+     * @param {Function} onChunk - 分段回调 (index, response, finishedChunks, totalChunks)，index为参数在列表中的位置，
+     *                             传入时结果中的response不含数据
+     * @returns {Promise<Array<{params, status, response, error}>>}
+     */
+    async batchQuery(paramsList, onProgress, onChunk) {
+        const total = paramsList.length;
+        const results = new Array(total);
+        let finished = 0;
+        let cursor = 0;
+        const generation = this.generation;
+
+        const worker = async () => {
+            while (cursor < total) {
+                const index = cursor++;
+                const params = paramsList[index];
+                try {
+                    if (generation !== this.generation) {
+                        throw FactorQueryManager.cancelledError();
+                    }
+                    const response = await this.query(params, typeof onChunk === 'function'
+                        ? (chunk, finishedChunks, totalChunks) => onChunk(index, chunk, finishedChunks, totalChunks)
+                        : null);
+                    results[index] = {params, status: 'fulfilled', response, error: null};
+                } catch (error) {
+                    results[index] = {params, status: 'rejected', response: null, error};
+                }
+                finished++;
+                if (typeof onProgress === 'function') {
+                    onProgress(finished, total, results[index]);
+                }
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.maxConcurrency, total); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+}
+
+// 全局因子查询管理器实例
+window.factorQueryManager = null;
+
+// 因子查询模块初始化函数
+function initFactorQueryModule(url) {
+    try {
+        window.factorQueryManager = new FactorQueryManager(url);
+        console.log('✅ 因子查询模块初始化完成');
+        return window.factorQueryManager;
+    } catch (error) {
+        console.error('❌ 因子查询模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {FactorQueryManager, initFactorQueryModule};
+}
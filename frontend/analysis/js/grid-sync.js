@@ -0,0 +1,197 @@
+/**
+ * 多数据视图联动模块
+ * 负责多网格图表中缩放、十字光标和提示框的跨视图联动
+ *
+ * 功能特性:
+ * - 联动的数据视图共享dataZoom（内置缩放 + 底部滑块）
+ * - 解除联动的数据视图使用独立的内置缩放
+ * - 联动视图共享十字光标
+ * - 提示框汇总所有联动视图中每条序列在当前时间的数值
+ */
+
+class GridSync {
+    constructor(options = {}) {
+        // 返回当前图表中的series配置
+        this.getSeries = options.getSeries || (() => []);
+        // 返回当前图例选中状态 {name: boolean}
+        this.getLegendSelected = options.getLegendSelected || (() => ({}));
+        // 将横坐标值格式化为提示框中的时间
+        this.formatTime = options.formatTime || GridSync.formatTime;
+        // 解除联动的数据视图
+        this.unlinkedGrids = new Set(options.unlinkedGrids || []);
+    }
+
+    /**
+     * 数据视图是否参与联动
+     */
+    isLinked(grid) {
+        return !this.unlinkedGrids.has(grid);
+    }
+
+    /**
+     * 替换全部解除联动的数据视图
+     */
+    setUnlinkedGrids(grids) {
+        this.unlinkedGrids = new Set(grids);
+    }
+
+    /**
+     * 获取解除联动的数据视图列表（用于持久化）
+     */
+    getUnlinkedGrids() {
+        return Array.from(this.unlinkedGrids).sort((a, b) => a - b);
+    }
+
+    /**
+     * 获取参与联动的数据视图
+     */
+    getLinkedGrids(gridCount) {
+        return Array.from({length: gridCount}, (_, i) => i).filter(i => this.isLinked(i));
+    }
+
+    /**
+     * 将联动配置写入图表option
+     */
+    applyToOption(option, gridCount) {
+        const linked = this.getLinkedGrids(gridCount);
+        const unlinked = Array.from({length: gridCount}, (_, i) => i).filter(i => !this.isLinked(i));
+
+        const dataZoom = [];
+        if (linked.length > 0) {
+            dataZoom.push(
+                {
+                    type: 'inside',
+                    xAxisIndex: linked,
+                    start: 0,
+                    end: 100,
+                    filterMode: 'filter'
+                },
+                {
+                    type: 'slider',
+                    show: true,
+                    top: '96%',
+                    height: 12,
+                    realtime: true,
+                    start: 0,
+                    end: 100,
+                    borderRadius: 0,
+                    handleSize: '100%',
+                    xAxisIndex: linked,
+                    brushStyle: {borderType: [5, 10], borderWidth: 0}
+                }
+            );
+        }
+        unlinked.forEach(i => {
+            dataZoom.push({
+                type: 'inside',
+                xAxisIndex: [i],
+                start: 0,
+                end: 100,
+                filterMode: 'filter'
+            });
+        });
+        option.dataZoom = dataZoom;
+
+        const link = linked.length > 1 ? [{xAxisIndex: linked}] : [];
+        option.axisPointer = {link};
+        option.tooltip.axisPointer = {...option.tooltip.axisPointer, link};
+        option.tooltip.formatter = (params) => this.formatTooltip(params, gridCount);
+
+        return option;
+    }
+
+    /**
+     * 汇总提示框：列出联动视图中全部可见序列在当前时间的数值
+     */
+    formatTooltip(params, gridCount) {
+        const list = Array.isArray(params) ? params : [params];
+        if (list.length === 0) {
+            return '';
+        }
+
+        const first = list[0];
+        const time = first.axisValue !== undefined ? first.axisValue : first.value[0];
+        const hoveredGrid = first.axisIndex !== undefined ? first.axisIndex : 0;
+        const grids = this.isLinked(hoveredGrid) ? this.getLinkedGrids(gridCount) : [hoveredGrid];
+        const selected = this.getLegendSelected();
+
+        let html = `<div style="font-size: 12px;">`;
+        html += `<div style="margin-bottom: 6px; font-weight: bold;">${this.formatTime(time)}</div>`;
+
+        grids.forEach(grid => {
+            const series = this.getSeries().filter(s => s.xAxisIndex === grid && selected[s.name] !== false);
+            if (series.length === 0) {
+                return;
+            }
+
+            html += `<div style="margin-top: 4px; opacity: 0.7;">数据视图[${grid + 1}]</div>`;
+            series.forEach(s => {
+                const value = GridSync.valueAt(s.data || [], time);
+                // 颜色拼接在样式中，只使用校验过的颜色值
+                const color = s.itemStyle && RecordSchema.isColor(s.itemStyle.color) ? s.itemStyle.color : '#409eff';
+                html += `<div style="margin: 2px 0;">`;
+                html += `<span style="display: inline-block; width: 8px; height: 8px; background: ${color}; border-radius: 50%; margin-right: 6px;"></span>`;
+                // 序列名称可通过重命名和对比模式由用户修改，需转义
+                html += `${echarts.format.encodeHTML(s.name)}: <strong>${GridSync.formatValue(value)}</strong>`;
+                html += `</div>`;
+            });
+        });
+
+        html += `</div>`;
+        return html;
+    }
+
+    /**
+     * 取序列在指定时间的数值（不晚于该时间的最后一个点）
+     */
+    static valueAt(data, time) {
+        let low = 0;
+        let high = data.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (data[mid][0] <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low > 0 ? data[low - 1][1] : null;
+    }
+
+    /**
+     * 格式化时间
+     */
+    static formatTime(time) {
+        return new Date(time).toLocaleString('zh-CN', {hour12: false});
+    }
+
+    /**
+     * 格式化数值
+     */
+    static formatValue(value) {
+        if (value === null || value === undefined) {
+            return '-';
+        }
+        return typeof value === 'number' ? Number(value.toFixed(4)) : value;
+    }
+}
+
+// 全局联动管理器实例
+window.gridSync = null;
+
+// 联动模块初始化函数
+function initGridSyncModule(options) {
+    try {
+        window.gridSync = new GridSync(options);
+        console.log('✅ 数据视图联动模块初始化完成');
+        return window.gridSync;
+    } catch (error) {
+        console.error('❌ 数据视图联动模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {GridSync, initGridSyncModule};
+}
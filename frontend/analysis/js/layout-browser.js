@@ -0,0 +1,214 @@
+/**
+ * 页面布局浏览模块
+ * 负责展示db.page_layout中保存的页面布局，并提供恢复、重命名、复制和删除操作
+ *
+ * 布局记录格式: {save_time, name, grid_count, queries, annotations}，annotations为保存时当前股票的图表标注
+ * 恢复动作由页面通过onRestore回调完成，本模块只负责记录管理和界面渲染
+ */
+
+class LayoutBrowser {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.modal = $(options.modal || '#layout-modal');
+        this.list = this.modal.find('.layout-list');
+        this.onRestore = options.onRestore || (() => {});
+        this.onChange = options.onChange || (() => {});
+
+        this.bindEvents();
+    }
+
+    /**
+     * 绑定模态框事件
+     */
+    bindEvents() {
+        this.modal.on('click', (event) => {
+            if (event.target === this.modal[0]) {
+                this.close();
+            }
+        });
+
+        this.modal.find('.layout-close').on('click', () => this.close());
+
+        // 列表项按钮使用事件委托，列表每次打开都会重新渲染
+        this.list.on('click', '[data-action]', (event) => {
+            const button = $(event.currentTarget);
+            const saveTime = Number(button.closest('.layout-item').data('saveTime'));
+            this.handleAction(button.data('action'), saveTime);
+        });
+    }
+
+    /**
+     * 打开布局浏览窗口
+     */
+    async open() {
+        await this.render();
+        this.modal.show();
+    }
+
+    /**
+     * 关闭布局浏览窗口
+     */
+    close() {
+        this.modal.hide();
+    }
+
+    /**
+     * 生成默认布局名称
+     */
+    static defaultName(time = Date.now()) {
+        return `布局 ${LayoutBrowser.formatTime(time)}`;
+    }
+
+    /**
+     * 格式化保存时间
+     */
+    static formatTime(time) {
+        return new Date(time).toLocaleString('zh-CN', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: false
+        });
+    }
+
+    /**
+     * 渲染布局列表
+     */
+    async render() {
+        const records = await this.db.page_layout.orderBy('save_time').reverse().toArray();
+        this.list.empty();
+
+        if (records.length === 0) {
+            this.list.append($('<div class="layout-empty">暂无保存的布局</div>'));
+            return;
+        }
+
+        records.forEach(record => {
+            const item = $('<div class="layout-item">').data('saveTime', record.save_time);
+
+            const info = $('<div class="layout-info">');
+            info.append($('<div class="layout-name">').text(record.name || LayoutBrowser.defaultName(record.save_time)));
+            info.append($('<div class="layout-meta">').text(
+                `${LayoutBrowser.formatTime(record.save_time)} · ${record.grid_count} 个视图 · ${(record.queries || []).length} 个查询`
+            ));
+
+            const actions = $('<div class="layout-actions">');
+            actions.append('<button class="btn-primary" data-action="restore">恢复</button>');
+            actions.append('<button class="btn-default" data-action="rename">重命名</button>');
+            actions.append('<button class="btn-default" data-action="duplicate">复制</button>');
+            actions.append('<button class="btn-default" data-action="delete">删除</button>');
+
+            item.append(this.renderPreview(record), info, actions);
+            this.list.append(item);
+        });
+    }
+
+    /**
+     * 渲染布局预览：每个数据视图一行，列出该视图中的因子及颜色
+     */
+    renderPreview(record) {
+        const preview = $('<div class="layout-preview">');
+
+        for (let i = 0; i < record.grid_count; i++) {
+            const cell = $('<div class="layout-preview-grid">');
+            (record.queries || []).filter(query => query.grid === i).forEach(query => {
+                const tag = $('<span class="layout-preview-series">').text(query.cs);
+                tag.css('border-left-color', query.color || '#409eff');
+                cell.append(tag);
+            });
+            preview.append(cell);
+        }
+
+        return preview;
+    }
+
+    /**
+     * 处理列表项操作
+     */
+    async handleAction(action, saveTime) {
+        const record = await this.db.page_layout.get(saveTime);
+        if (!record) {
+            return;
+        }
+
+        try {
+            switch (action) {
+                case 'restore':
+                    this.close();
+                    await this.onRestore(record);
+                    return;
+                case 'rename':
+                    await this.rename(record);
+                    break;
+                case 'duplicate':
+                    await this.duplicate(record);
+                    break;
+                case 'delete':
+                    await this.remove(record);
+                    break;
+            }
+        } catch (error) {
+            console.error(`布局操作失败 [${action}]:`, error);
+            alert('布局操作失败: ' + error.message);
+        }
+
+        await this.render();
+        this.onChange();
+    }
+
+    /**
+     * 重命名布局
+     */
+    async rename(record) {
+        const name = window.prompt('请输入新的布局名称', record.name || LayoutBrowser.defaultName(record.save_time));
+        if (name === null || name.trim() === '') {
+            return;
+        }
+        await this.db.page_layout.update(record.save_time, {name: name.trim()});
+    }
+
+    /**
+     * 复制布局
+     */
+    async duplicate(record) {
+        const copy = {
+            ...record,
+            name: `${record.name || LayoutBrowser.defaultName(record.save_time)} (副本)`,
+            save_time: Date.now()
+        };
+        await this.db.page_layout.add(copy);
+    }
+
+    /**
+     * 删除布局
+     */
+    async remove(record) {
+        if (!confirm(`确定要删除布局「${record.name || LayoutBrowser.defaultName(record.save_time)}」吗？`)) {
+            return;
+        }
+        await this.db.page_layout.delete(record.save_time);
+    }
+}
+
+// 全局布局浏览器实例
+window.layoutBrowser = null;
+
+// 布局浏览模块初始化函数
+function initLayoutBrowserModule(db, options) {
+    try {
+        window.layoutBrowser = new LayoutBrowser(db, options);
+        console.log('✅ 布局浏览模块初始化完成');
+        return window.layoutBrowser;
+    } catch (error) {
+        console.error('❌ 布局浏览模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {LayoutBrowser, initLayoutBrowserModule};
+}
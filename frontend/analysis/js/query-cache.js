@@ -0,0 +1,372 @@
+/**
+ * 因子查询缓存模块
+ * 将 /api/analysis/v1/factor/query 的结果按 (db, tb, cs) 缓存到Dexie数据库
+ *
+ * 功能特性:
+ * - 每个 (db, tb, cs) 记录已缓存的时间区间，只请求缺失的子区间
+ * - 相邻或重叠的区间自动合并
+ * - 按总行数和条目数限制缓存大小，超出时淘汰最久未使用的条目（LRU）
+ * - 距当前时间较近的数据可能仍在写入，不计入已缓存区间
+ *
+ * 缓存分两张表: query_cache_meta 保存区间、行数和访问时间，统计和淘汰只需读取轻量的meta表；
+ * query_cache_segments 按 (key, from) 保存每次请求到的子区间数据，查询只读取与请求区间重叠的分段，
+ * 写入只追加新分段，不重写已缓存的数据
+ *
+ * 同一因子的查询可能并发且区间重叠，写入时在同一事务中重新读取meta，只追加其中尚未缓存的部分，
+ * 避免后写入的meta覆盖先写入的区间而留下无法访问的分段
+ */
+
+class QueryCache {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.maxRows = options.maxRows || 1000000;    // 缓存总行数上限
+        this.maxEntries = options.maxEntries || 200;  // 缓存条目数上限
+        this.freshness = options.freshness || 300;    // 最近5分钟内的数据不缓存（秒）
+
+        this.stats = {hits: 0, partial: 0, misses: 0, evicted: 0, entries: 0, rows: 0};
+
+        this.callbacks = {
+            onChange: []
+        };
+    }
+
+    /**
+     * 生成缓存键
+     */
+    static getKey(params) {
+        return `${params.db}|${params.tb}|${params.cs}`;
+    }
+
+    /**
+     * 将秒级时间戳格式化为与后端 created_at 一致的 'YYYY-MM-DD HH:mm:ss'（本地时间）
+     */
+    static formatTime(seconds) {
+        const date = new Date(seconds * 1000);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * 计算 [start, end] 中未被已缓存区间覆盖的部分
+     * 时间精度为秒，区间两端均为闭区间
+     * @param {Array<[number, number]>} intervals - 已缓存区间（已排序、不重叠）
+     * @returns {Array<[number, number]>}
+     */
+    static subtract(start, end, intervals) {
+        const missing = [];
+        let cursor = start;
+
+        intervals.forEach(([from, to]) => {
+            if (to < cursor || from > end) {
+                return;
+            }
+            if (from > cursor) {
+                missing.push([cursor, from - 1]);
+            }
+            cursor = Math.max(cursor, to + 1);
+        });
+
+        if (cursor <= end) {
+            missing.push([cursor, end]);
+        }
+        return missing;
+    }
+
+    /**
+     * 合并区间，相邻（相差1秒）或重叠的区间合并为一个
+     */
+    static mergeIntervals(intervals) {
+        const sorted = intervals.filter(([from, to]) => from <= to).sort((a, b) => a[0] - b[0]);
+        const merged = [];
+
+        sorted.forEach(([from, to]) => {
+            const last = merged[merged.length - 1];
+            if (last && from <= last[1] + 1) {
+                last[1] = Math.max(last[1], to);
+            } else {
+                merged.push([from, to]);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * 加载缓存统计
+     */
+    async load() {
+        try {
+            const metas = await this.db.query_cache_meta.toArray();
+            this.stats.entries = metas.length;
+            this.stats.rows = metas.reduce((sum, meta) => sum + meta.rows, 0);
+        } catch (error) {
+            console.error('读取查询缓存统计失败:', error);
+        }
+        this.triggerCallback('onChange', this.getStats());
+    }
+
+    /**
+     * 通过缓存查询：命中部分直接返回，缺失的子区间调用fetcher请求后写入缓存
+     * @param {Object} params - {db, tb, cs, start_time, end_time}，时间为秒级时间戳
+     * @param {Function} fetcher - (params) => Promise<response>，请求后端
+     * @returns {Promise<Object>} 与后端格式一致的响应
+     */
+    async fetch(params, fetcher) {
+        const key = QueryCache.getKey(params);
+        const start = Math.floor(params.start_time);
+        const end = Math.floor(params.end_time);
+
+        let meta = null;
+        let segments = [];
+        try {
+            meta = await this.db.query_cache_meta.get(key);
+            segments = meta ? await this.readSegments(key, start, end) : [];
+        } catch (error) {
+            // 缓存不可读时直接请求，不写入缓存，避免覆盖已有的区间记录
+            console.error('读取查询缓存失败:', error);
+            this.stats.misses++;
+            return {...await fetcher(params), cache: 'miss'};
+        }
+        const missing = QueryCache.subtract(start, end, meta ? meta.intervals : []);
+        let status = 'partial';
+        if (missing.length === 0) {
+            status = 'hit';
+        } else if (missing.length === 1 && missing[0][0] === start && missing[0][1] === end) {
+            status = 'miss';
+        }
+        this.stats[{hit: 'hits', partial: 'partial', miss: 'misses'}[status]]++;
+
+        // 缺失区间逐个请求，任何一个失败都直接抛出，不写入缓存
+        const responses = [];
+        for (const [from, to] of missing) {
+            responses.push({from, to, response: await fetcher({...params, start_time: from, end_time: to})});
+        }
+
+        if (responses.length > 0) {
+            await this.save(params, responses);
+        } else {
+            // 只更新访问时间，不写回读取时的区间，以免覆盖并发写入的区间
+            this.db.query_cache_meta.update(key, {accessed_at: Date.now()})
+                .catch(error => console.error('更新查询缓存失败:', error));
+        }
+
+        const response = this.slice(segments, params, start, end, responses);
+        response.cache = status;
+        this.triggerCallback('onChange', this.getStats());
+        return response;
+    }
+
+    /**
+     * 读取与 [start, end] 重叠的缓存分段，按起始时间排序
+     */
+    async readSegments(key, start, end) {
+        const segments = await this.db.query_cache_segments
+            .where('[key+from]')
+            .between([key, -Infinity], [key, end], true, true)
+            .toArray();
+        return segments.filter(segment => segment.to >= start);
+    }
+
+    /**
+     * 由新请求到的数据生成缓存分段并更新区间和行数
+     * 过于接近当前时间的数据不缓存；meta中已有的区间（可能由并发查询写入）跳过，分段之间互不重叠
+     * 后端按时间升序返回，按区间截取即可
+     */
+    createSegments(meta, responses) {
+        const stableEnd = Math.floor(Date.now() / 1000) - this.freshness;
+        const cached = meta.intervals;
+        const segments = [];
+
+        responses.forEach(({from, to, response}) => {
+            const times = response.data.created_at;
+
+            QueryCache.subtract(from, Math.min(to, stableEnd), cached).forEach(([segmentFrom, segmentTo]) => {
+                const fromText = QueryCache.formatTime(segmentFrom);
+                const toText = QueryCache.formatTime(segmentTo);
+                let first = 0;
+                while (first < times.length && times[first] < fromText) {
+                    first++;
+                }
+                let last = first;
+                while (last < times.length && times[last] <= toText) {
+                    last++;
+                }
+
+                segments.push({
+                    id: `${meta.key}|${segmentFrom}`,
+                    key: meta.key,
+                    from: segmentFrom,
+                    to: segmentTo,
+                    created_at: times.slice(first, last),
+                    data: response.data.data.slice(first, last)
+                });
+                meta.rows += last - first;
+            });
+        });
+
+        meta.intervals = QueryCache.mergeIntervals([...cached, ...segments.map(segment => [segment.from, segment.to])]);
+        return segments;
+    }
+
+    /**
+     * 由缓存分段和本次请求的响应拼出 [start, end] 的数据
+     * 两者覆盖的区间互不重叠，按区间起点排列后依次截取即为完整的升序序列，
+     * 本次响应中未计入缓存的近期数据也一并返回
+     */
+    slice(segments, params, start, end, responses) {
+        const startText = QueryCache.formatTime(start);
+        const endText = QueryCache.formatTime(end);
+
+        const pieces = [
+            ...segments.map(segment => ({from: segment.from, times: segment.created_at, values: segment.data})),
+            ...responses.map(({from, response}) => ({from, times: response.data.created_at, values: response.data.data}))
+        ].sort((a, b) => a.from - b.from);
+
+        const times = [];
+        const values = [];
+        pieces.forEach(piece => {
+            for (let i = 0; i < piece.times.length; i++) {
+                if (piece.times[i] >= startText && piece.times[i] <= endText) {
+                    times.push(piece.times[i]);
+                    values.push(piece.values[i]);
+                }
+            }
+        });
+
+        return {
+            db: params.db,
+            tb: params.tb,
+            cs: params.cs,
+            start_time: startText,
+            end_time: endText,
+            data: {
+                data: values,
+                created_at: times
+            }
+        };
+    }
+
+    /**
+     * 在同一事务中读取最新的meta、追加新分段并写回meta，然后按LRU淘汰
+     */
+    async save(params, responses) {
+        const key = QueryCache.getKey(params);
+
+        try {
+            await this.db.transaction('rw', this.db.query_cache_meta, this.db.query_cache_segments, async () => {
+                const meta = await this.db.query_cache_meta.get(key) ||
+                    {key, db: params.db, tb: params.tb, cs: params.cs, intervals: [], rows: 0};
+                const segments = this.createSegments(meta, responses);
+                meta.accessed_at = Date.now();
+
+                await this.db.query_cache_meta.put(meta);
+                await this.db.query_cache_segments.bulkPut(segments);
+            });
+            await this.evict(key);
+        } catch (error) {
+            console.error('写入查询缓存失败:', error);
+        }
+    }
+
+    /**
+     * 超出行数或条目数上限时，按最近访问时间从旧到新淘汰，keep为刚写入的条目
+     */
+    async evict(keep) {
+        const metas = await this.db.query_cache_meta.orderBy('accessed_at').toArray();
+        let rows = metas.reduce((sum, meta) => sum + meta.rows, 0);
+        let entries = metas.length;
+        const expired = [];
+
+        for (const meta of metas) {
+            if (rows <= this.maxRows && entries <= this.maxEntries) {
+                break;
+            }
+            if (meta.key === keep) {
+                continue;
+            }
+            expired.push(meta.key);
+            rows -= meta.rows;
+            entries--;
+        }
+
+        if (expired.length > 0) {
+            await this.db.transaction('rw', this.db.query_cache_meta, this.db.query_cache_segments, async () => {
+                await this.db.query_cache_meta.bulkDelete(expired);
+                await this.db.query_cache_segments.where('key').anyOf(expired).delete();
+            });
+            this.stats.evicted += expired.length;
+        }
+
+        this.stats.rows = rows;
+        this.stats.entries = entries;
+    }
+
+    /**
+     * 清空缓存
+     */
+    async clear() {
+        await this.db.transaction('rw', this.db.query_cache_meta, this.db.query_cache_segments, async () => {
+            await this.db.query_cache_meta.clear();
+            await this.db.query_cache_segments.clear();
+        });
+        this.stats = {hits: 0, partial: 0, misses: 0, evicted: 0, entries: 0, rows: 0};
+        this.triggerCallback('onChange', this.getStats());
+    }
+
+    /**
+     * 获取缓存统计
+     */
+    getStats() {
+        const requests = this.stats.hits + this.stats.partial + this.stats.misses;
+        return {
+            ...this.stats,
+            requests: requests,
+            hitRate: requests > 0 ? this.stats.hits / requests : 0,
+            partialRate: requests > 0 ? this.stats.partial / requests : 0
+        };
+    }
+
+    /**
+     * 添加事件回调
+     */
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    }
+
+    /**
+     * 触发回调函数
+     */
+    triggerCallback(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`❌ 回调函数执行失败 [${event}]:`, error);
+                }
+            });
+        }
+    }
+}
+
+// 全局查询缓存实例
+window.queryCache = null;
+
+// 查询缓存模块初始化函数
+function initQueryCacheModule(db, options) {
+    try {
+        window.queryCache = new QueryCache(db, options);
+        console.log('✅ 查询缓存模块初始化完成');
+        return window.queryCache;
+    } catch (error) {
+        console.error('❌ 查询缓存模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {QueryCache, initQueryCacheModule};
+}
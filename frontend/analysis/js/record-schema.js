@@ -0,0 +1,199 @@
+/**
+ * 记录格式校验模块
+ * 校验并清理来自外部的记录（工作区链接、导入的数据包），只保留已知字段
+ *
+ * 清理规则:
+ * - 未知字段丢弃
+ * - 必需字段缺失或不合法时整条记录不合法（返回null）
+ * - 可选字段不合法时丢弃该字段，使用时按缺省值处理
+ *
+ * 颜色只接受 #rgb、#rrggbb、#rrggbbaa 和 rgb()/rgba()，其余值可能被拼接进HTML样式
+ */
+
+class RecordSchema {
+    /**
+     * 数据视图数量上限，与配置中的选项一致
+     */
+    static get MAX_GRIDS() {
+        return 6;
+    }
+
+    /**
+     * 是否为允许的颜色值
+     */
+    static isColor(value) {
+        return typeof value === 'string' &&
+            /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|rgba?\(\s*\d{1,3}\s*(,\s*\d{1,3}\s*){2}(,\s*(0|1|0?\.\d+)\s*)?\))$/i.test(value);
+    }
+
+    /**
+     * 字段校验函数
+     */
+    static get TYPES() {
+        const oneOf = (...values) => (value) => values.includes(value);
+        return {
+            string: (value) => typeof value === 'string',
+            number: (value) => typeof value === 'number' && Number.isFinite(value),
+            boolean: (value) => typeof value === 'boolean',
+            grid: (value) => Number.isInteger(value) && value >= 0 && value < RecordSchema.MAX_GRIDS,
+            gridCount: (value) => Number.isInteger(value) && value >= 1 && value <= RecordSchema.MAX_GRIDS,
+            color: RecordSchema.isColor,
+            lineWidth: (value) => typeof value === 'number' && value > 0 && value <= 10,
+            point: (value) => Array.isArray(value) && value.length === 2 &&
+                value.every(item => typeof item === 'number' && Number.isFinite(item)),
+            stringMap: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                Object.values(value).every(item => typeof item === 'string'),
+            oneOf: oneOf
+        };
+    }
+
+    /**
+     * 查询记录的字段: {字段: [校验函数, 是否必需]}
+     */
+    static get QUERY_FIELDS() {
+        const types = RecordSchema.TYPES;
+        return {
+            time: [types.number, true],
+            db: [types.string, true],
+            tb: [types.string, true],
+            cs: [types.string, true],
+            grid: [types.grid, true],
+            view_type: [types.oneOf('line', 'bar'), true],
+            start_time: [types.number, false],
+            end_time: [types.number, false],
+            color: [types.color, false],
+            line_width: [types.lineWidth, false],
+            line_type: [types.oneOf('solid', 'dashed', 'dotted'), false],
+            area: [types.boolean, false],
+            y_axis: [types.oneOf('left', 'right'), false],
+            hidden: [types.boolean, false],
+            z: [types.number, false],
+            starred: [types.boolean, false],
+            compare: [types.boolean, false],
+            normalize: [types.oneOf('none', 'rebase', 'pct', 'zscore'), false],
+            kind: [types.oneOf('derived'), false],
+            expr: [types.string, false],
+            sources: [types.stringMap, false]
+        };
+    }
+
+    /**
+     * 图表标注的字段
+     */
+    static get ANNOTATION_FIELDS() {
+        const types = RecordSchema.TYPES;
+        return {
+            id: [types.string, true],
+            symbol: [types.string, true],
+            grid: [types.grid, true],
+            type: [types.oneOf('hline', 'vline', 'trend', 'rect', 'text'), true],
+            points: [(value) => Array.isArray(value) && value.length >= 1 && value.length <= 2 &&
+                value.every(RecordSchema.TYPES.point), true],
+            text: [types.string, false],
+            color: [types.color, false],
+            created_at: [types.number, false]
+        };
+    }
+
+    /**
+     * 按字段定义清理记录，不合法时返回null
+     */
+    static sanitize(record, fields) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return null;
+        }
+
+        const result = {};
+        for (const [field, [isValid, required]] of Object.entries(fields)) {
+            const value = record[field];
+            if (value !== undefined && isValid(value)) {
+                result[field] = value;
+            } else if (required) {
+                return null;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 清理记录列表，不合法的记录丢弃
+     */
+    static sanitizeList(records, sanitizer) {
+        return Array.isArray(records) ? records.map(sanitizer).filter(record => record !== null) : [];
+    }
+
+    /**
+     * 清理查询记录
+     */
+    static sanitizeQuery(record) {
+        return RecordSchema.sanitize(record, RecordSchema.QUERY_FIELDS);
+    }
+
+    /**
+     * 清理图表标注
+     */
+    static sanitizeAnnotation(record) {
+        return RecordSchema.sanitize(record, RecordSchema.ANNOTATION_FIELDS);
+    }
+
+    /**
+     * 清理页面布局，其中不合法的查询和标注丢弃
+     */
+    static sanitizeLayout(record) {
+        const types = RecordSchema.TYPES;
+        const layout = RecordSchema.sanitize(record, {
+            save_time: [types.number, true],
+            grid_count: [types.gridCount, true],
+            queries: [Array.isArray, true],
+            annotations: [Array.isArray, false],
+            name: [types.string, false]
+        });
+        if (!layout) {
+            return null;
+        }
+
+        layout.queries = RecordSchema.sanitizeList(layout.queries, RecordSchema.sanitizeQuery);
+        if (layout.annotations) {
+            layout.annotations = RecordSchema.sanitizeList(layout.annotations, RecordSchema.sanitizeAnnotation);
+        }
+        return layout;
+    }
+
+    /**
+     * 清理工作区链接状态，其中不合法的查询丢弃
+     */
+    static sanitizeWorkspace(state) {
+        const types = RecordSchema.TYPES;
+        const localTime = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(value);
+        const workspace = RecordSchema.sanitize(state, {
+            v: [types.number, true],
+            symbol: [(value) => value !== null && typeof value === 'object', false],
+            start_time: [localTime, false],
+            end_time: [localTime, false],
+            grid_count: [types.gridCount, false],
+            theme: [types.oneOf('dark', 'light'), false],
+            queries: [Array.isArray, false],
+            zoom: [(value) => Array.isArray(value) && value.every(types.point), false]
+        });
+        if (!workspace) {
+            return null;
+        }
+
+        if (workspace.symbol) {
+            workspace.symbol = RecordSchema.sanitize(workspace.symbol, {
+                symbol: [types.string, true],
+                name: [types.string, false],
+                code: [types.string, false]
+            }) || undefined;
+        }
+        workspace.queries = RecordSchema.sanitizeList(workspace.queries, RecordSchema.sanitizeQuery);
+        return workspace;
+    }
+}
+
+// 导出给其他模块使用
+window.RecordSchema = RecordSchema;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {RecordSchema};
+}
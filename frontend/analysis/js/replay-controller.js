@@ -0,0 +1,360 @@
+/**
+ * 数据回放控制模块
+ * 按时间戳同步回放多数据视图图表中的全部可见序列
+ *
+ * 功能特性:
+ * - 播放/暂停、单步前进/后退
+ * - 1x~100x 播放倍速，基础间隔取自配置中的自动播放间隔
+ * - 按时间步进：每一步前进一个基础间隔的行情时间（至少一个数据点），tick数据不会逐点播放
+ * - 进度条拖动与跳转到指定时间
+ * - 在所有数据视图中同步显示当前时间游标，游标绘制在单独的辅助序列上，不覆盖序列自身的markLine
+ */
+
+class ReplayController {
+    constructor(chart, options = {}) {
+        this.chart = chart;
+        // 返回当前图表中的series配置（data为完整数据）
+        this.getSeries = options.getSeries || (() => []);
+        // 返回1倍速下每一步的间隔（秒），同时也是每一步前进的行情时长
+        this.getBaseInterval = options.getBaseInterval || (() => 3);
+        // 返回图例选中状态 {name: boolean}，未提供时从图表读取
+        this.getLegendSelected = options.getLegendSelected || (() => {
+            const current = this.chart.getOption();
+            return (current && current.legend && current.legend[0] && current.legend[0].selected) || {};
+        });
+
+        this.timeline = [];
+        this.position = -1;
+        this.clock = -Infinity; // 播放时的回放时间，可能位于两个数据点之间
+        this.tracks = new Map(); // 序列id -> {source, data}，data为source中已回放的部分
+        this.cursorGrids = new Set(); // 已绘制时间游标的数据视图
+        this.speed = 1;
+        this.timer = null;
+        this.isActive = false;
+        this.isPlaying = false;
+
+        this.minInterval = 16; // 最小刷新间隔，约等于一帧
+
+        this.callbacks = {
+            onFrame: [],
+            onStateChange: []
+        };
+    }
+
+    /**
+     * 载入当前可见序列并建立统一时间轴
+     * @returns {boolean} 是否有可回放的数据
+     */
+    load() {
+        const series = this.getVisibleSeries();
+        this.timeline = SeriesAligner.unionTimes(series.map(s => s.data || []));
+        this.position = -1;
+        this.clock = -Infinity;
+        this.tracks.clear();
+        this.isActive = this.timeline.length > 0;
+        this.triggerCallback('onStateChange', this.getState());
+        return this.isActive;
+    }
+
+    /**
+     * 获取图例中未被隐藏的序列
+     */
+    getVisibleSeries() {
+        const selected = this.getLegendSelected();
+        return this.getSeries().filter(s => selected[s.name] !== false && Array.isArray(s.data));
+    }
+
+    /**
+     * 开始播放，未载入时先载入并从头开始
+     */
+    play() {
+        if (!this.isActive && !this.load()) {
+            return false;
+        }
+        if (this.position >= this.timeline.length - 1) {
+            this.position = -1;
+            this.clock = -Infinity;
+        }
+
+        this.isPlaying = true;
+        this.startTimer();
+        this.triggerCallback('onStateChange', this.getState());
+        return true;
+    }
+
+    /**
+     * 暂停播放，保留当前位置
+     */
+    pause() {
+        this.isPlaying = false;
+        this.stopTimer();
+        this.triggerCallback('onStateChange', this.getState());
+    }
+
+    /**
+     * 切换播放/暂停
+     */
+    toggle() {
+        return this.isPlaying ? (this.pause(), false) : this.play();
+    }
+
+    /**
+     * 单步前进
+     */
+    stepForward() {
+        if (!this.isActive && !this.load()) {
+            return;
+        }
+        this.seek(this.position + 1);
+    }
+
+    /**
+     * 单步后退
+     */
+    stepBack() {
+        if (!this.isActive && !this.load()) {
+            return;
+        }
+        this.seek(Math.max(this.position - 1, 0));
+    }
+
+    /**
+     * 跳转到时间轴上的指定位置
+     */
+    seek(index) {
+        if (!this.isActive) {
+            return;
+        }
+        this.position = Math.max(0, Math.min(index, this.timeline.length - 1));
+        this.clock = this.timeline[this.position];
+        this.renderFrame();
+
+        if (this.position >= this.timeline.length - 1 && this.isPlaying) {
+            this.pause();
+        }
+    }
+
+    /**
+     * 播放一步：回放时间前进一个基础间隔，不足以到达下一个数据点时直接跳到下一个数据点
+     */
+    advance() {
+        const next = this.timeline[this.position + 1];
+        if (next === undefined) {
+            this.pause();
+            return;
+        }
+
+        const clock = Math.max(this.clock + this.getBaseInterval() * 1000, next);
+        this.seek(ReplayController.upperBound(this.timeline, clock) - 1);
+        this.clock = clock;
+    }
+
+    /**
+     * 跳转到指定时间（毫秒），定位到不晚于该时间的最后一个时间点
+     */
+    jumpToTime(time) {
+        if (!this.isActive && !this.load()) {
+            return;
+        }
+        this.seek(Math.max(ReplayController.upperBound(this.timeline, time) - 1, 0));
+    }
+
+    /**
+     * 设置播放倍速
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(1, Math.min(Number(speed) || 1, 100));
+        if (this.isPlaying) {
+            this.startTimer();
+        }
+    }
+
+    /**
+     * 基础间隔变化后重新计时
+     */
+    refreshTimer() {
+        if (this.isPlaying) {
+            this.startTimer();
+        }
+    }
+
+    /**
+     * 结束回放，由调用方恢复完整数据
+     */
+    stop() {
+        this.stopTimer();
+        this.isPlaying = false;
+        this.isActive = false;
+        this.timeline = [];
+        this.position = -1;
+        this.clock = -Infinity;
+        this.tracks.clear();
+        this.cursorGrids.clear();
+        this.triggerCallback('onStateChange', this.getState());
+    }
+
+    /**
+     * 启动播放计时器
+     */
+    startTimer() {
+        this.stopTimer();
+        const interval = Math.max(this.getBaseInterval() * 1000 / this.speed, this.minInterval);
+        this.timer = setInterval(() => this.advance(), interval);
+    }
+
+    /**
+     * 停止播放计时器
+     */
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 获取序列已回放的部分，只追加或截断与上一帧相差的数据点，不重新复制整条序列
+     */
+    getTrackData(s, time) {
+        let track = this.tracks.get(s.id);
+        if (!track || track.source !== s.data) {
+            track = {source: s.data, data: []};
+            this.tracks.set(s.id, track);
+        }
+
+        const end = ReplayController.upperBound(track.source, time, point => point[0]);
+        if (end < track.data.length) {
+            track.data.length = end;
+        }
+        for (let i = track.data.length; i < end; i++) {
+            track.data.push(track.source[i]);
+        }
+        return track.data;
+    }
+
+    /**
+     * 生成数据视图的时间游标辅助序列，time为null时清除游标
+     */
+    static buildCursorSeries(grid, time) {
+        return {
+            id: `replay-cursor-${grid}`,
+            type: 'line',
+            xAxisIndex: grid,
+            yAxisIndex: grid,
+            data: [],
+            silent: true,
+            markLine: {
+                symbol: 'none',
+                silent: true,
+                animation: false,
+                label: {show: false},
+                lineStyle: {color: '#f56c6c', type: 'solid', width: 1},
+                data: time === null ? [] : [{xAxis: time}]
+            }
+        };
+    }
+
+    /**
+     * 渲染当前位置：每条序列只显示不晚于当前时间的数据，并在每个数据视图绘制时间游标
+     */
+    renderFrame() {
+        if (!this.isActive || this.position < 0) {
+            return;
+        }
+
+        const time = this.timeline[this.position];
+        const visible = this.getVisibleSeries();
+        const grids = new Set(visible.map(s => s.xAxisIndex));
+
+        const series = visible.map(s => ({id: s.id, data: this.getTrackData(s, time)}));
+        grids.forEach(grid => series.push(ReplayController.buildCursorSeries(grid, time)));
+        // 已没有可见序列的数据视图清除游标
+        this.cursorGrids.forEach(grid => {
+            if (!grids.has(grid)) {
+                series.push(ReplayController.buildCursorSeries(grid, null));
+            }
+        });
+        this.cursorGrids = grids;
+
+        this.chart.setOption({series});
+        this.triggerCallback('onFrame', this.getState());
+    }
+
+    /**
+     * 获取回放状态
+     */
+    getState() {
+        return {
+            isActive: this.isActive,
+            isPlaying: this.isPlaying,
+            position: this.position,
+            length: this.timeline.length,
+            time: this.position >= 0 ? this.timeline[this.position] : null,
+            speed: this.speed
+        };
+    }
+
+    /**
+     * 返回有序数组中第一个大于target的位置
+     * @param {Array} values - 有序数组
+     * @param {number} target - 目标值
+     * @param {Function} key - 取值函数，默认取元素本身
+     */
+    static upperBound(values, target, key = value => value) {
+        let low = 0;
+        let high = values.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (key(values[mid]) <= target) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 添加事件回调
+     */
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    }
+
+    /**
+     * 触发回调函数
+     */
+    triggerCallback(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`❌ 回调函数执行失败 [${event}]:`, error);
+                }
+            });
+        }
+    }
+}
+
+// 全局回放控制器实例
+window.replayController = null;
+
+// 回放模块初始化函数
+function initReplayModule(chart, options) {
+    try {
+        window.replayController = new ReplayController(chart, options);
+        console.log('✅ 回放模块初始化完成');
+        return window.replayController;
+    } catch (error) {
+        console.error('❌ 回放模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {ReplayController, initReplayModule};
+}
@@ -0,0 +1,177 @@
+/**
+ * 序列时间对齐模块
+ * 负责把接口返回的时间/数值数组转换为 [time, value] 数据点，并在同一数据视图内对齐多条序列
+ *
+ * 对齐模式:
+ * - union: 并集，每条序列保留自身全部数据点
+ * - intersection: 交集，只保留所有序列都存在的时间点
+ * - ffill: 前向填充，所有序列扩展到时间并集，缺失值沿用上一个有效值
+ *
+ * 归一化方式（多标的对比时使用）:
+ * - rebase: 以首个有效值为基准换算为100
+ * - pct: 相对首个有效值的涨跌幅（%）
+ * - zscore: 按整条序列的均值和标准差标准化
+ */
+
+class SeriesAligner {
+    /**
+     * 支持的对齐模式
+     */
+    static get MODES() {
+        return ['union', 'intersection', 'ffill'];
+    }
+
+    /**
+     * 将时间字符串或时间戳转换为毫秒时间戳
+     * 后端返回的 'YYYY-MM-DD HH:mm:ss' 按本地时间解析
+     */
+    static parseTime(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        return Date.parse(String(value).replace(' ', 'T'));
+    }
+
+    /**
+     * 将接口返回的时间数组和数值数组合并为按时间排序的数据点
+     * @param {Array} times - created_at 数组
+     * @param {Array} values - 数值数组
+     * @returns {Array<[number, number]>}
+     */
+    static toPairs(times, values) {
+        const pairs = [];
+        const length = Math.min(times.length, values.length);
+        for (let i = 0; i < length; i++) {
+            const time = SeriesAligner.parseTime(times[i]);
+            if (!isNaN(time)) {
+                pairs.push([time, values[i]]);
+            }
+        }
+        pairs.sort((a, b) => a[0] - b[0]);
+        return pairs;
+    }
+
+    /**
+     * 对齐一组序列
+     * @param {Array<Array<[number, number]>>} pairsList - 每条序列的数据点
+     * @param {string} mode - 对齐模式
+     * @returns {Array<Array<[number, number]>>} 与输入顺序一致的对齐结果
+     */
+    static align(pairsList, mode = 'union') {
+        if (pairsList.length < 2) {
+            return pairsList;
+        }
+
+        switch (mode) {
+            case 'intersection':
+                return SeriesAligner.intersect(pairsList);
+            case 'ffill':
+                return SeriesAligner.forwardFill(pairsList);
+            default:
+                return pairsList;
+        }
+    }
+
+    /**
+     * 交集对齐：只保留所有序列共有的时间点
+     */
+    static intersect(pairsList) {
+        const counts = new Map();
+        pairsList.forEach(pairs => {
+            new Set(pairs.map(pair => pair[0])).forEach(time => {
+                counts.set(time, (counts.get(time) || 0) + 1);
+            });
+        });
+
+        return pairsList.map(pairs =>
+            pairs.filter(pair => counts.get(pair[0]) === pairsList.length)
+        );
+    }
+
+    /**
+     * 前向填充对齐：扩展到时间并集，首个有效值之前的时间点不输出
+     */
+    static forwardFill(pairsList) {
+        const times = SeriesAligner.unionTimes(pairsList);
+
+        return pairsList.map(pairs => {
+            const filled = [];
+            let cursor = 0;
+            let last = null;
+
+            times.forEach(time => {
+                while (cursor < pairs.length && pairs[cursor][0] <= time) {
+                    last = pairs[cursor][1];
+                    cursor++;
+                }
+                if (last !== null) {
+                    filled.push([time, last]);
+                }
+            });
+
+            return filled;
+        });
+    }
+
+    /**
+     * 支持的归一化方式
+     */
+    static get NORMALIZE_MODES() {
+        return ['none', 'rebase', 'pct', 'zscore'];
+    }
+
+    /**
+     * 归一化单条序列，返回新的数据点数组，无法计算时返回原数据
+     * @param {Array<[number, number]>} pairs - 数据点
+     * @param {string} mode - 归一化方式
+     */
+    static normalize(pairs, mode) {
+        if (!mode || mode === 'none' || pairs.length === 0) {
+            return pairs;
+        }
+
+        const values = pairs.map(pair => pair[1]).filter(value => Number.isFinite(value));
+
+        switch (mode) {
+            case 'rebase':
+            case 'pct': {
+                const base = values.find(value => value !== 0);
+                if (base === undefined) {
+                    return pairs;
+                }
+                return pairs.map(pair => [pair[0], mode === 'rebase'
+                    ? pair[1] / base * 100
+                    : (pair[1] / base - 1) * 100]);
+            }
+            case 'zscore': {
+                if (values.length < 2) {
+                    return pairs;
+                }
+                const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+                const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+                if (std === 0) {
+                    return pairs;
+                }
+                return pairs.map(pair => [pair[0], (pair[1] - mean) / std]);
+            }
+            default:
+                return pairs;
+        }
+    }
+
+    /**
+     * 计算所有序列时间点的并集（升序）
+     */
+    static unionTimes(pairsList) {
+        const times = new Set();
+        pairsList.forEach(pairs => pairs.forEach(pair => times.add(pair[0])));
+        return Array.from(times).sort((a, b) => a - b);
+    }
+}
+
+// 导出给其他模块使用
+window.SeriesAligner = SeriesAligner;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {SeriesAligner};
+}
@@ -0,0 +1,239 @@
+/**
+ * 序列管理模块
+ * 列出图表中已绘制的全部序列，逐条设置颜色、线宽、线型、面积填充、左右Y轴、显示状态、所在数据视图和叠放顺序
+ *
+ * 样式直接保存在序列对应的查询记录上（与query_list中的记录为同一对象），随页面布局一起保存:
+ * - color、line_width: 颜色和线宽（原有字段）
+ * - line_type: 'solid' | 'dashed' | 'dotted'
+ * - area: 是否填充面积
+ * - y_axis: 'left' | 'right'
+ * - hidden: 是否隐藏
+ * - z: 叠放顺序，越大越靠上
+ * - grid: 所在数据视图
+ *
+ * 样式如何作用到series由页面通过onChange回调完成，本模块只负责记录修改和界面渲染
+ */
+
+class SeriesManager {
+    constructor(options = {}) {
+        this.modal = $(options.modal || '#series-modal');
+        this.list = this.modal.find('.series-manager-list');
+        // 返回当前图表中的序列 [{id, name, record}]
+        this.getItems = options.getItems || (() => []);
+        this.getGridCount = options.getGridCount || (() => 1);
+        // 样式修改后回调，参数为被修改的序列id列表
+        this.onChange = options.onChange || (() => {});
+
+        this.bindEvents();
+    }
+
+    /**
+     * 线型及名称
+     */
+    static get LINE_TYPES() {
+        return {
+            solid: '实线',
+            dashed: '虚线',
+            dotted: '点线'
+        };
+    }
+
+    /**
+     * 读取记录上的样式，缺省字段取默认值
+     */
+    static getStyle(record) {
+        return {
+            color: record.color || '#409eff',
+            line_width: record.line_width || 2,
+            line_type: SeriesManager.LINE_TYPES[record.line_type] ? record.line_type : 'solid',
+            area: !!record.area,
+            y_axis: record.y_axis === 'right' ? 'right' : 'left',
+            hidden: !!record.hidden,
+            z: Number.isFinite(record.z) ? record.z : 0
+        };
+    }
+
+    /**
+     * 按叠放顺序排列序列，顺序相同时保持绘制顺序
+     */
+    getSortedItems() {
+        return this.getItems()
+            .map((item, index) => ({...item, index}))
+            .sort((a, b) => SeriesManager.getStyle(a.record).z - SeriesManager.getStyle(b.record).z || a.index - b.index);
+    }
+
+    /**
+     * 绑定模态框事件
+     */
+    bindEvents() {
+        this.modal.on('click', (event) => {
+            if (event.target === this.modal[0]) {
+                this.close();
+            }
+        });
+
+        this.modal.find('.series-manager-close').on('click', () => this.close());
+
+        // 列表每次修改后重新渲染，控件使用事件委托
+        this.list.on('change', '[data-field]', (event) => {
+            const input = $(event.currentTarget);
+            const id = input.closest('.series-manager-item').data('id');
+            this.update(id, input.data('field'), SeriesManager.readInput(input));
+        });
+
+        this.list.on('click', '[data-action]', (event) => {
+            const button = $(event.currentTarget);
+            const id = button.closest('.series-manager-item').data('id');
+            this.move(id, button.data('action') === 'up' ? 1 : -1);
+        });
+    }
+
+    /**
+     * 读取控件的值
+     */
+    static readInput(input) {
+        switch (input.data('field')) {
+            case 'area':
+                return input.is(':checked');
+            case 'hidden':
+                return !input.is(':checked');
+            case 'line_width':
+                return parseFloat(input.val()) || 2;
+            case 'grid':
+                return parseInt(input.val());
+            default:
+                return input.val();
+        }
+    }
+
+    /**
+     * 打开序列管理窗口
+     */
+    open() {
+        this.render();
+        this.modal.show();
+    }
+
+    /**
+     * 关闭序列管理窗口
+     */
+    close() {
+        this.modal.hide();
+    }
+
+    /**
+     * 渲染序列列表，叠放顺序靠上的排在前面
+     */
+    render() {
+        this.list.empty();
+
+        const items = this.getSortedItems().reverse();
+        if (items.length === 0) {
+            this.list.append('<div class="series-manager-empty">图表中暂无序列</div>');
+            return;
+        }
+
+        items.forEach((item, position) => {
+            this.list.append(this.renderItem(item, position, items.length));
+        });
+    }
+
+    /**
+     * 渲染单条序列的设置项
+     */
+    renderItem(item, position, count) {
+        const style = SeriesManager.getStyle(item.record);
+        const isLine = item.record.view_type !== 'bar';
+        const row = $('<div class="series-manager-item">').data('id', item.id);
+
+        const name = $('<div class="series-manager-name">').css('border-left-color', style.color)
+            .text(item.name).attr('title', `${item.record.db} / ${item.record.tb} / ${item.record.cs}`);
+
+        const visible = $('<label>').append(
+            $('<input type="checkbox" data-field="hidden">').prop('checked', !style.hidden), '显示');
+
+        const color = $('<input type="color" data-field="color">').val(style.color);
+
+        const width = $('<input type="number" data-field="line_width" min="0.1" max="5" step="0.1">')
+            .val(style.line_width).prop('disabled', !isLine).attr('title', '线宽');
+
+        const lineType = $('<select data-field="line_type">').prop('disabled', !isLine).attr('title', '线型');
+        Object.entries(SeriesManager.LINE_TYPES).forEach(([value, text]) => {
+            lineType.append($('<option>', {value, text}));
+        });
+        lineType.val(style.line_type);
+
+        const area = $('<label>').append(
+            $('<input type="checkbox" data-field="area">').prop('checked', style.area).prop('disabled', !isLine), '面积');
+
+        const yAxis = $('<select data-field="y_axis">').attr('title', 'Y轴')
+            .append($('<option>', {value: 'left', text: '左轴'}), $('<option>', {value: 'right', text: '右轴'}))
+            .val(style.y_axis);
+
+        const grid = $('<select data-field="grid">').attr('title', '数据视图');
+        for (let i = 0; i < this.getGridCount(); i++) {
+            grid.append($('<option>', {value: i, text: `视图[${i + 1}]`}));
+        }
+        grid.val(item.record.grid);
+
+        const order = $('<span class="series-manager-order">').append(
+            $('<button class="btn-default" data-action="up" title="上移一层">↑</button>').prop('disabled', position === 0),
+            $('<button class="btn-default" data-action="down" title="下移一层">↓</button>').prop('disabled', position === count - 1)
+        );
+
+        const controls = $('<div class="series-manager-controls">')
+            .append(visible, color, width, lineType, area, yAxis, grid, order);
+        return row.append(name, controls);
+    }
+
+    /**
+     * 修改单条序列的样式
+     */
+    update(id, field, value) {
+        const item = this.getItems().find(entry => entry.id === id);
+        if (!item) {
+            return;
+        }
+        item.record[field] = value;
+        this.onChange([id]);
+        this.render();
+    }
+
+    /**
+     * 调整叠放顺序：与相邻序列交换位置后，按新顺序重新编号全部序列的z
+     * @param {number} direction - 1为上移，-1为下移
+     */
+    move(id, direction) {
+        const items = this.getSortedItems();
+        const index = items.findIndex(item => item.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= items.length) {
+            return;
+        }
+
+        [items[index], items[target]] = [items[target], items[index]];
+        items.forEach((item, order) => item.record.z = order);
+        this.onChange(items.map(item => item.id));
+        this.render();
+    }
+}
+
+// 全局序列管理实例
+window.seriesManager = null;
+
+// 序列管理模块初始化函数
+function initSeriesManagerModule(options) {
+    try {
+        window.seriesManager = new SeriesManager(options);
+        console.log('✅ 序列管理模块初始化完成');
+        return window.seriesManager;
+    } catch (error) {
+        console.error('❌ 序列管理模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {SeriesManager, initSeriesManagerModule};
+}
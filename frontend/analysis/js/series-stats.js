@@ -0,0 +1,170 @@
+/**
+ * 序列统计模块
+ * 计算选定时间区间内各序列的描述统计量和序列之间的相关系数矩阵
+ *
+ * 统计量:
+ * - count、min、max、mean、std（样本标准差）、skew（样本偏度，与pandas一致）
+ * - 分位数 p5/p25/p50/p75/p95（线性插值）
+ * - first/last：区间内第一个和最后一个有效值
+ *
+ * 相关系数为Pearson相关系数，两条序列按相同时间点配对计算，非数值的点不参与计算
+ */
+
+class SeriesStats {
+    /**
+     * 输出的分位数
+     */
+    static get PERCENTILES() {
+        return [5, 25, 50, 75, 95];
+    }
+
+    /**
+     * 截取时间区间 [min, max] 内的数据点，数据点需按时间升序
+     */
+    static slice(pairs, min, max) {
+        const lowerBound = (time) => {
+            let low = 0;
+            let high = pairs.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (pairs[mid][0] < time) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            return low;
+        };
+
+        const start = min === undefined || min === null ? 0 : lowerBound(min);
+        const end = max === undefined || max === null ? pairs.length : lowerBound(max + 1e-9);
+        return pairs.slice(start, end);
+    }
+
+    /**
+     * 有序数组的分位数（线性插值）
+     * @param {Array<number>} sorted - 升序数值
+     * @param {number} p - 百分位 0-100
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) {
+            return null;
+        }
+        const position = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * 计算单条序列的描述统计量，没有有效值时各项为null
+     * @param {Array<[number, number]>} pairs - 数据点
+     */
+    static summarize(pairs) {
+        const values = pairs.map(pair => pair[1]).filter(value => Number.isFinite(value));
+        const count = values.length;
+
+        const summary = {count, min: null, max: null, mean: null, std: null, skew: null, first: null, last: null};
+        SeriesStats.PERCENTILES.forEach(p => summary[`p${p}`] = null);
+        if (count === 0) {
+            return summary;
+        }
+
+        const sorted = Float64Array.from(values).sort();
+        const mean = values.reduce((sum, value) => sum + value, 0) / count;
+        let m2 = 0;
+        let m3 = 0;
+        values.forEach(value => {
+            const diff = value - mean;
+            m2 += diff * diff;
+            m3 += diff * diff * diff;
+        });
+
+        summary.min = sorted[0];
+        summary.max = sorted[count - 1];
+        summary.mean = mean;
+        summary.first = values[0];
+        summary.last = values[count - 1];
+        if (count > 1) {
+            summary.std = Math.sqrt(m2 / (count - 1));
+        }
+        if (count > 2 && m2 > 0) {
+            // 调整后的Fisher-Pearson偏度系数
+            const g1 = (m3 / count) / Math.pow(m2 / count, 1.5);
+            summary.skew = g1 * Math.sqrt(count * (count - 1)) / (count - 2);
+        }
+        SeriesStats.PERCENTILES.forEach(p => summary[`p${p}`] = SeriesStats.percentile(sorted, p));
+        return summary;
+    }
+
+    /**
+     * 两条序列在相同时间点上的Pearson相关系数
+     * @returns {{value: number|null, count: number}} 配对点少于3个或任一序列方差为0时value为null
+     */
+    static correlation(a, b) {
+        const lookup = new Map();
+        a.forEach(pair => {
+            if (Number.isFinite(pair[1])) {
+                lookup.set(pair[0], pair[1]);
+            }
+        });
+
+        const xs = [];
+        const ys = [];
+        b.forEach(pair => {
+            if (Number.isFinite(pair[1]) && lookup.has(pair[0])) {
+                xs.push(lookup.get(pair[0]));
+                ys.push(pair[1]);
+            }
+        });
+
+        const count = xs.length;
+        if (count < 3) {
+            return {value: null, count};
+        }
+
+        const meanX = xs.reduce((sum, value) => sum + value, 0) / count;
+        const meanY = ys.reduce((sum, value) => sum + value, 0) / count;
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        for (let i = 0; i < count; i++) {
+            const dx = xs[i] - meanX;
+            const dy = ys[i] - meanY;
+            sxy += dx * dy;
+            sxx += dx * dx;
+            syy += dy * dy;
+        }
+
+        if (sxx === 0 || syy === 0) {
+            return {value: null, count};
+        }
+        return {value: sxy / Math.sqrt(sxx * syy), count};
+    }
+
+    /**
+     * 相关系数矩阵，对角线为1
+     * @param {Array<Array<[number, number]>>} pairsList
+     * @returns {Array<Array<{value: number|null, count: number}>>}
+     */
+    static correlationMatrix(pairsList) {
+        const size = pairsList.length;
+        const matrix = Array.from({length: size}, () => new Array(size));
+
+        for (let i = 0; i < size; i++) {
+            const count = pairsList[i].filter(pair => Number.isFinite(pair[1])).length;
+            matrix[i][i] = {value: count > 0 ? 1 : null, count};
+            for (let j = i + 1; j < size; j++) {
+                matrix[i][j] = matrix[j][i] = SeriesStats.correlation(pairsList[i], pairsList[j]);
+            }
+        }
+        return matrix;
+    }
+}
+
+// 导出给其他模块使用
+window.SeriesStats = SeriesStats;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {SeriesStats};
+}
@@ -0,0 +1,318 @@
+/**
+ * 股票搜索模块
+ * 在基础股票列表上提供代码、名称和拼音首字母的模糊搜索，并管理最近使用和自选股
+ *
+ * 功能特性:
+ * - 匹配代码、完整代码（如 SZSE.000858）、名称和拼音首字母（如 wly → 五粮液）
+ * - 按完全匹配 > 前缀匹配 > 包含匹配 > 子序列模糊匹配排序，自选股和最近使用的股票优先
+ * - 最近使用的股票和自选股保存在Dexie数据库中
+ *
+ * 拼音首字母通过 zh-CN 排序规则计算，排序规则对每个字只给出一个读音，
+ * 多音字（如 银行、重庆、厦门）按多音字表索引全部读音的首字母组合
+ */
+
+class SymbolSearch {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.maxResults = options.maxResults || 50;
+        this.maxRecents = options.maxRecents || 10;
+
+        this.stocks = [];
+        this.recents = [];              // 按使用时间倒序
+        this.watchlist = new Map();     // symbol -> 自选记录
+
+        this.callbacks = {
+            onWatchlistChange: [],
+            onRecentsChange: []
+        };
+    }
+
+    /**
+     * 拼音首字母分界字：每个字是对应字母在zh-CN排序中的第一个汉字（I、U、V没有对应的汉字声母）
+     */
+    static get INITIAL_BOUNDARIES() {
+        return {
+            letters: 'ABCDEFGHJKLMNOPQRSTWXYZ',
+            chars: ['阿', '八', '嚓', '哒', '妸', '发', '旮', '哈', '讥', '咔', '垃', '痳', '拏',
+                '噢', '妑', '七', '呥', '扨', '它', '穵', '夕', '丫', '帀']
+        };
+    }
+
+    /**
+     * 多音字各读音的首字母，股票名称中常用的读音在前
+     */
+    static get POLYPHONE_INITIALS() {
+        return {
+            '行': 'hx', '重': 'cz', '长': 'cz', '厦': 'xs', '藏': 'zc', '朝': 'cz', '乐': 'ly',
+            '调': 'td', '传': 'cz', '盛': 'sc', '曾': 'zc', '会': 'hk', '解': 'jx', '降': 'jx',
+            '强': 'qj', '参': 'cs', '种': 'zc', '查': 'cz', '区': 'qo', '率': 'sl', '单': 'ds',
+            '石': 'sd', '莘': 'sx', '系': 'xj', '宿': 'sx', '泊': 'bp', '尉': 'wy', '仇': 'qc'
+        };
+    }
+
+    /**
+     * 名称最多索引的首字母组合数，避免多音字较多的名称组合过多
+     */
+    static get MAX_INITIAL_VARIANTS() {
+        return 16;
+    }
+
+    /**
+     * 获取单个汉字的拼音首字母（多音字取常用读音），非汉字原样返回（小写）
+     */
+    static getInitial(char) {
+        if (!/\p{Script=Han}/u.test(char)) {
+            return char.toLowerCase();
+        }
+
+        const polyphone = SymbolSearch.POLYPHONE_INITIALS[char];
+        if (polyphone) {
+            return polyphone[0];
+        }
+
+        if (!SymbolSearch.collator) {
+            SymbolSearch.collator = new Intl.Collator('zh-CN');
+        }
+
+        const {letters, chars} = SymbolSearch.INITIAL_BOUNDARIES;
+        let initial = '';
+        for (let i = 0; i < chars.length; i++) {
+            if (SymbolSearch.collator.compare(char, chars[i]) >= 0) {
+                initial = letters[i];
+            } else {
+                break;
+            }
+        }
+        return initial.toLowerCase();
+    }
+
+    /**
+     * 获取名称的拼音首字母串，忽略空白；含多音字时返回各读音的组合，常用读音的组合在前
+     * @returns {Array<string>}
+     */
+    static getInitials(name) {
+        let variants = [''];
+        Array.from(String(name).replace(/\s/g, '')).forEach(char => {
+            const initials = SymbolSearch.POLYPHONE_INITIALS[char] || SymbolSearch.getInitial(char);
+            variants = variants.flatMap(prefix => Array.from(initials, initial => prefix + initial))
+                .slice(0, SymbolSearch.MAX_INITIAL_VARIANTS);
+        });
+        return variants;
+    }
+
+    /**
+     * 设置基础股票列表并建立搜索索引
+     * @param {Array<{name, code, symbol}>} stocks
+     */
+    setStocks(stocks) {
+        this.stocks = (stocks || []).map(stock => ({
+            stock: stock,
+            code: String(stock.code).toLowerCase(),
+            symbol: String(stock.symbol).toLowerCase(),
+            name: String(stock.name).replace(/\s/g, '').toLowerCase(),
+            initials: SymbolSearch.getInitials(stock.name)
+        }));
+    }
+
+    /**
+     * 从数据库加载最近使用和自选股
+     */
+    async load() {
+        try {
+            this.recents = await this.db.symbol_recent.orderBy('used_at').reverse().limit(this.maxRecents).toArray();
+            const watched = await this.db.symbol_watchlist.orderBy('added_at').toArray();
+            this.watchlist = new Map(watched.map(item => [item.symbol, item]));
+        } catch (error) {
+            console.error('加载最近使用和自选股失败:', error);
+        }
+    }
+
+    /**
+     * 计算单个字段的匹配得分，未匹配返回0
+     * @param {string} target - 字段值
+     * @param {string} query - 查询串
+     * @param {number} weight - 字段权重
+     */
+    static scoreField(target, query, weight) {
+        if (!target || !query) {
+            return 0;
+        }
+        if (target === query) {
+            return 100 * weight;
+        }
+        if (target.startsWith(query)) {
+            return (80 + query.length / target.length * 10) * weight;
+        }
+
+        const position = target.indexOf(query);
+        if (position >= 0) {
+            return (60 - Math.min(position, 20)) * weight;
+        }
+
+        // 子序列模糊匹配：查询字符按顺序出现即可，字符越集中得分越高
+        let cursor = 0;
+        let first = -1;
+        for (let i = 0; i < target.length && cursor < query.length; i++) {
+            if (target[i] === query[cursor]) {
+                if (first < 0) {
+                    first = i;
+                }
+                cursor++;
+                if (cursor === query.length) {
+                    const span = i - first + 1;
+                    return (20 + query.length / span * 20) * weight;
+                }
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * 搜索股票
+     * @param {string} input - 输入内容，支持代码、名称、拼音首字母及 '名称[代码]' 格式
+     * @returns {Array<Object>} 按得分排序的股票
+     */
+    search(input) {
+        const query = String(input || '').replace(/\s/g, '').toLowerCase();
+        if (!query) {
+            return [];
+        }
+
+        const recentRank = new Map(this.recents.map((item, index) => [item.symbol, index]));
+        const results = [];
+
+        this.stocks.forEach(entry => {
+            let score = Math.max(
+                SymbolSearch.scoreField(entry.code, query, 1),
+                SymbolSearch.scoreField(entry.symbol, query, 0.95),
+                SymbolSearch.scoreField(entry.name, query, 1),
+                ...entry.initials.map(initials => SymbolSearch.scoreField(initials, query, 0.9)),
+                SymbolSearch.scoreField(`${entry.name}[${entry.code}]`, query, 1)
+            );
+            if (score <= 0) {
+                return;
+            }
+
+            if (this.watchlist.has(entry.stock.symbol)) {
+                score += 15;
+            }
+            if (recentRank.has(entry.stock.symbol)) {
+                score += 10 - recentRank.get(entry.stock.symbol) * 0.5;
+            }
+            results.push({stock: entry.stock, score});
+        });
+
+        results.sort((a, b) => b.score - a.score || a.stock.code.localeCompare(b.stock.code));
+        return results.slice(0, this.maxResults).map(result => result.stock);
+    }
+
+    /**
+     * 获取最近使用的股票
+     */
+    getRecents() {
+        return this.recents.map(item => ({name: item.name, code: item.code, symbol: item.symbol}));
+    }
+
+    /**
+     * 记录最近使用的股票
+     */
+    async addRecent(stock) {
+        const record = {symbol: stock.symbol, code: stock.code, name: stock.name, used_at: Date.now()};
+        this.recents = [record, ...this.recents.filter(item => item.symbol !== stock.symbol)].slice(0, this.maxRecents);
+
+        try {
+            await this.db.symbol_recent.put(record);
+            // 只保留最近maxRecents条
+            const expired = await this.db.symbol_recent.orderBy('used_at').reverse().offset(this.maxRecents).primaryKeys();
+            if (expired.length > 0) {
+                await this.db.symbol_recent.bulkDelete(expired);
+            }
+        } catch (error) {
+            console.error('保存最近使用股票失败:', error);
+        }
+        this.triggerCallback('onRecentsChange', this.getRecents());
+    }
+
+    /**
+     * 获取自选股
+     */
+    getWatchlist() {
+        return Array.from(this.watchlist.values()).map(item => ({name: item.name, code: item.code, symbol: item.symbol}));
+    }
+
+    /**
+     * 是否为自选股
+     */
+    isWatched(symbol) {
+        return this.watchlist.has(symbol);
+    }
+
+    /**
+     * 加入或移出自选股
+     * @returns {Promise<boolean>} 操作后是否为自选股
+     */
+    async toggleWatch(stock) {
+        const watched = !this.watchlist.has(stock.symbol);
+
+        try {
+            if (watched) {
+                const record = {symbol: stock.symbol, code: stock.code, name: stock.name, added_at: Date.now()};
+                await this.db.symbol_watchlist.put(record);
+                this.watchlist.set(stock.symbol, record);
+            } else {
+                await this.db.symbol_watchlist.delete(stock.symbol);
+                this.watchlist.delete(stock.symbol);
+            }
+        } catch (error) {
+            console.error('更新自选股失败:', error);
+            return !watched;
+        }
+
+        this.triggerCallback('onWatchlistChange', this.getWatchlist());
+        return watched;
+    }
+
+    /**
+     * 添加事件回调
+     */
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    }
+
+    /**
+     * 触发回调函数
+     */
+    triggerCallback(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`❌ 回调函数执行失败 [${event}]:`, error);
+                }
+            });
+        }
+    }
+}
+
+// 全局股票搜索实例
+window.symbolSearch = null;
+
+// 股票搜索模块初始化函数
+function initSymbolSearchModule(db, options) {
+    try {
+        window.symbolSearch = new SymbolSearch(db, options);
+        console.log('✅ 股票搜索模块初始化完成');
+        return window.symbolSearch;
+    } catch (error) {
+        console.error('❌ 股票搜索模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {SymbolSearch, initSymbolSearchModule};
+}
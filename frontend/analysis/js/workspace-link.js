@@ -0,0 +1,124 @@
+/**
+ * 工作区链接模块
+ * 将分析页面的工作区状态编码为URL hash（#ws=...），打开链接即可恢复相同的视图
+ *
+ * 令牌格式: '<编码方式>.<base64url>'
+ * - z: JSON经deflate-raw压缩（浏览器支持CompressionStream时使用）
+ * - j: 未压缩的JSON
+ *
+ * 状态格式: {v, symbol, start_time, end_time, grid_count, theme, queries, zoom}
+ * 状态的收集和恢复由页面完成，本模块只负责编码、解码和校验；
+ * 链接可能由他人构造，解码后按RecordSchema清理，未知字段和不合法的查询丢弃
+ */
+
+class WorkspaceLink {
+    /**
+     * 状态格式版本
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * URL hash中的参数名
+     */
+    static get HASH_KEY() {
+        return 'ws';
+    }
+
+    /**
+     * 字节数组转换为base64url
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * base64url转换为字节数组
+     */
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * 通过压缩流转换字节数组
+     */
+    static async pipe(bytes, stream) {
+        const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * 编码工作区状态
+     * @param {Object} state - 工作区状态，自动补充版本号
+     * @returns {Promise<string>} 令牌
+     */
+    static async encode(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify({v: WorkspaceLink.VERSION, ...state}));
+
+        if (typeof CompressionStream !== 'undefined') {
+            const compressed = await WorkspaceLink.pipe(bytes, new CompressionStream('deflate-raw'));
+            return `z.${WorkspaceLink.toBase64Url(compressed)}`;
+        }
+        return `j.${WorkspaceLink.toBase64Url(bytes)}`;
+    }
+
+    /**
+     * 解码令牌并清理状态
+     * @returns {Promise<Object>} 工作区状态
+     */
+    static async decode(token) {
+        const separator = String(token).indexOf('.');
+        const method = token.slice(0, separator);
+        let bytes = WorkspaceLink.fromBase64Url(token.slice(separator + 1));
+
+        if (method === 'z') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('当前浏览器不支持解压工作区链接');
+            }
+            bytes = await WorkspaceLink.pipe(bytes, new DecompressionStream('deflate-raw'));
+        } else if (method !== 'j') {
+            throw new Error('无法识别的工作区链接');
+        }
+
+        const state = JSON.parse(new TextDecoder().decode(bytes));
+        if (!state || state.v !== WorkspaceLink.VERSION) {
+            throw new Error(`不支持的工作区链接版本: ${state && state.v}`);
+        }
+
+        const workspace = RecordSchema.sanitizeWorkspace(state);
+        if (!workspace) {
+            throw new Error('工作区链接内容无效');
+        }
+        return workspace;
+    }
+
+    /**
+     * 生成带工作区令牌的链接
+     */
+    static async buildURL(state, href = window.location.href) {
+        const token = await WorkspaceLink.encode(state);
+        return `${href.split('#')[0]}#${WorkspaceLink.HASH_KEY}=${token}`;
+    }
+
+    /**
+     * 从URL hash中读取令牌，没有时返回null
+     */
+    static readToken(hash = window.location.hash) {
+        const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+        return params.get(WorkspaceLink.HASH_KEY);
+    }
+}
+
+// 导出给其他模块使用
+window.WorkspaceLink = WorkspaceLink;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {WorkspaceLink};
+}
@@ -0,0 +1,602 @@
+/**
+ * 二进制数据帧解码模块
+ * 将MessagePack或Arrow IPC编码的实时数据帧解码为与JSON数据包相同结构的对象，序列以类型化数组表示
+ * 在Web Worker中通过importScripts加载，也可在主线程直接使用
+ *
+ * 解码后的数据包: {metadata, ppie_group: {p_data: {time: Float64Array, value: Float64Array}, ...}, ...}
+ *
+ * 数据帧格式:
+ * - msgpack: 与JSON数据包结构相同，序列可以是 [[time, value], ...]，
+ *   也可以是 {time, value}，其中time/value为数值数组或float64小端字节（bin）
+ * - arrow: IPC流格式，schema的custom_metadata中 metadata 为数据包metadata的JSON，
+ *   time列为时间，其余列名为 '<数据组>.<序列名>'，如 'ppie_group.p_data'
+ *   只支持定长的整数、浮点数和时间戳列，不支持压缩和字典编码
+ */
+
+/**
+ * MessagePack解码器
+ */
+class MessagePackDecoder {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.textDecoder = new TextDecoder();
+    }
+
+    /**
+     * 解码一个MessagePack值
+     * @param {Uint8Array} bytes
+     */
+    static decode(bytes) {
+        const decoder = new MessagePackDecoder(bytes);
+        const value = decoder.read();
+        if (decoder.offset !== bytes.byteLength) {
+            throw new Error('MessagePack数据末尾有多余的字节');
+        }
+        return value;
+    }
+
+    read() {
+        const type = this.readUint(1);
+
+        if (type <= 0x7f) {
+            return type;
+        }
+        if (type <= 0x8f) {
+            return this.readMap(type & 0x0f);
+        }
+        if (type <= 0x9f) {
+            return this.readArray(type & 0x0f);
+        }
+        if (type <= 0xbf) {
+            return this.readString(type & 0x1f);
+        }
+        if (type >= 0xe0) {
+            return type - 0x100;
+        }
+
+        switch (type) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return this.readBinary(this.readUint(1));
+            case 0xc5: return this.readBinary(this.readUint(2));
+            case 0xc6: return this.readBinary(this.readUint(4));
+            case 0xc7: return this.readExt(this.readUint(1));
+            case 0xc8: return this.readExt(this.readUint(2));
+            case 0xc9: return this.readExt(this.readUint(4));
+            case 0xca: return this.advance(4, offset => this.view.getFloat32(offset));
+            case 0xcb: return this.advance(8, offset => this.view.getFloat64(offset));
+            case 0xcc: return this.readUint(1);
+            case 0xcd: return this.readUint(2);
+            case 0xce: return this.readUint(4);
+            case 0xcf: return this.advance(8, offset => Number(this.view.getBigUint64(offset)));
+            case 0xd0: return this.advance(1, offset => this.view.getInt8(offset));
+            case 0xd1: return this.advance(2, offset => this.view.getInt16(offset));
+            case 0xd2: return this.advance(4, offset => this.view.getInt32(offset));
+            case 0xd3: return this.advance(8, offset => Number(this.view.getBigInt64(offset)));
+            case 0xd4: return this.readExt(1);
+            case 0xd5: return this.readExt(2);
+            case 0xd6: return this.readExt(4);
+            case 0xd7: return this.readExt(8);
+            case 0xd8: return this.readExt(16);
+            case 0xd9: return this.readString(this.readUint(1));
+            case 0xda: return this.readString(this.readUint(2));
+            case 0xdb: return this.readString(this.readUint(4));
+            case 0xdc: return this.readArray(this.readUint(2));
+            case 0xdd: return this.readArray(this.readUint(4));
+            case 0xde: return this.readMap(this.readUint(2));
+            case 0xdf: return this.readMap(this.readUint(4));
+        }
+        throw new Error(`无法识别的MessagePack类型: 0x${type.toString(16)}`);
+    }
+
+    /**
+     * 读取定长数据并前移位置（MessagePack为大端序）
+     */
+    advance(size, reader) {
+        if (this.offset + size > this.bytes.byteLength) {
+            throw new Error('MessagePack数据不完整');
+        }
+        const value = reader(this.offset);
+        this.offset += size;
+        return value;
+    }
+
+    readUint(size) {
+        switch (size) {
+            case 1: return this.advance(1, offset => this.view.getUint8(offset));
+            case 2: return this.advance(2, offset => this.view.getUint16(offset));
+            default: return this.advance(4, offset => this.view.getUint32(offset));
+        }
+    }
+
+    readBytes(length) {
+        return this.advance(length, offset => this.bytes.slice(offset, offset + length));
+    }
+
+    readBinary(length) {
+        return this.readBytes(length);
+    }
+
+    readString(length) {
+        return this.textDecoder.decode(this.readBytes(length));
+    }
+
+    readArray(length) {
+        const array = new Array(length);
+        for (let i = 0; i < length; i++) {
+            array[i] = this.read();
+        }
+        return array;
+    }
+
+    readMap(length) {
+        const map = {};
+        for (let i = 0; i < length; i++) {
+            const key = this.read();
+            map[key] = this.read();
+        }
+        return map;
+    }
+
+    /**
+     * 扩展类型，时间戳扩展（-1）解码为毫秒时间戳
+     */
+    readExt(length) {
+        const type = this.advance(1, offset => this.view.getInt8(offset));
+        const data = this.readBytes(length);
+
+        if (type !== -1) {
+            return { type, data };
+        }
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        switch (length) {
+            case 4:
+                return view.getUint32(0) * 1000;
+            case 8: {
+                const high = view.getUint32(0);
+                const nanoseconds = high >>> 2;
+                const seconds = (high & 0x3) * 0x100000000 + view.getUint32(4);
+                return seconds * 1000 + nanoseconds / 1e6;
+            }
+            case 12:
+                return Number(view.getBigInt64(4)) * 1000 + view.getUint32(0) / 1e6;
+        }
+        throw new Error('无效的MessagePack时间戳');
+    }
+}
+
+/**
+ * FlatBuffers表读取（Arrow IPC的元数据使用FlatBuffers编码，小端序）
+ */
+class FlatBufferTable {
+    constructor(view, position) {
+        this.view = view;
+        this.position = position;
+        this.vtable = position - view.getInt32(position, true);
+        this.vtableSize = view.getUint16(this.vtable, true);
+    }
+
+    /**
+     * 读取根表
+     */
+    static root(view, offset) {
+        return new FlatBufferTable(view, offset + view.getUint32(offset, true));
+    }
+
+    /**
+     * 字段在表中的偏移，字段不存在时为0
+     */
+    fieldOffset(id) {
+        const entry = 4 + id * 2;
+        return entry < this.vtableSize ? this.view.getUint16(this.vtable + entry, true) : 0;
+    }
+
+    uint8(id, defaultValue = 0) {
+        const offset = this.fieldOffset(id);
+        return offset ? this.view.getUint8(this.position + offset) : defaultValue;
+    }
+
+    int16(id, defaultValue = 0) {
+        const offset = this.fieldOffset(id);
+        return offset ? this.view.getInt16(this.position + offset, true) : defaultValue;
+    }
+
+    int32(id, defaultValue = 0) {
+        const offset = this.fieldOffset(id);
+        return offset ? this.view.getInt32(this.position + offset, true) : defaultValue;
+    }
+
+    int64(id, defaultValue = 0) {
+        const offset = this.fieldOffset(id);
+        return offset ? Number(this.view.getBigInt64(this.position + offset, true)) : defaultValue;
+    }
+
+    bool(id, defaultValue = false) {
+        const offset = this.fieldOffset(id);
+        return offset ? this.view.getUint8(this.position + offset) !== 0 : defaultValue;
+    }
+
+    /**
+     * 引用目标的位置
+     */
+    indirect(id) {
+        const offset = this.fieldOffset(id);
+        if (!offset) {
+            return null;
+        }
+        const position = this.position + offset;
+        return position + this.view.getUint32(position, true);
+    }
+
+    table(id) {
+        const position = this.indirect(id);
+        return position === null ? null : new FlatBufferTable(this.view, position);
+    }
+
+    /**
+     * 向量的起始位置和长度
+     */
+    vector(id) {
+        const position = this.indirect(id);
+        if (position === null) {
+            return { start: 0, length: 0 };
+        }
+        return { start: position + 4, length: this.view.getUint32(position, true) };
+    }
+
+    tables(id) {
+        const { start, length } = this.vector(id);
+        const tables = [];
+        for (let i = 0; i < length; i++) {
+            const element = start + i * 4;
+            tables.push(new FlatBufferTable(this.view, element + this.view.getUint32(element, true)));
+        }
+        return tables;
+    }
+
+    string(id) {
+        const { start, length } = this.vector(id);
+        if (length === 0) {
+            return '';
+        }
+        return new TextDecoder().decode(new Uint8Array(this.view.buffer, this.view.byteOffset + start, length));
+    }
+}
+
+/**
+ * Arrow IPC流读取
+ */
+class ArrowIPCReader {
+    /**
+     * 消息头类型
+     */
+    static get HEADER_TYPES() {
+        return { SCHEMA: 1, DICTIONARY_BATCH: 2, RECORD_BATCH: 3 };
+    }
+
+    /**
+     * 列类型
+     */
+    static get TYPES() {
+        return { INT: 2, FLOATING_POINT: 3, TIMESTAMP: 10 };
+    }
+
+    /**
+     * 读取IPC流
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {{metadata: Object, columns: Object<string, Float64Array>, length: number}}
+     */
+    static read(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const types = ArrowIPCReader.HEADER_TYPES;
+
+        let schema = null;
+        const batches = [];
+        let offset = 0;
+
+        while (offset + 4 <= view.byteLength) {
+            let metadataLength = view.getInt32(offset, true);
+            offset += 4;
+            // 新格式的消息以0xFFFFFFFF开头
+            if (metadataLength === -1) {
+                metadataLength = view.getInt32(offset, true);
+                offset += 4;
+            }
+            if (metadataLength === 0) {
+                break;
+            }
+
+            const message = FlatBufferTable.root(view, offset);
+            offset += metadataLength;
+            const bodyStart = offset;
+            offset += message.int64(3);
+
+            switch (message.uint8(1)) {
+                case types.SCHEMA:
+                    schema = ArrowIPCReader.readSchema(message.table(2));
+                    break;
+                case types.RECORD_BATCH:
+                    if (!schema) {
+                        throw new Error('Arrow数据缺少schema');
+                    }
+                    batches.push(ArrowIPCReader.readRecordBatch(view, message.table(2), schema, bodyStart));
+                    break;
+                default:
+                    throw new Error('不支持的Arrow消息类型');
+            }
+        }
+
+        if (!schema) {
+            throw new Error('Arrow数据缺少schema');
+        }
+        return ArrowIPCReader.concat(schema, batches);
+    }
+
+    /**
+     * 读取schema：字段列表和custom_metadata
+     */
+    static readSchema(table) {
+        const metadata = {};
+        table.tables(2).forEach(entry => {
+            metadata[entry.string(0)] = entry.string(1);
+        });
+
+        const fields = table.tables(1).map(field => {
+            if (field.vector(5).length > 0) {
+                throw new Error(`不支持嵌套的Arrow列: ${field.string(0)}`);
+            }
+            const type = field.table(3);
+            return {
+                name: field.string(0),
+                typeId: field.uint8(2),
+                bitWidth: type ? type.int32(0) : 0,
+                signed: type ? type.bool(1) : false,
+                precision: type ? type.int16(0) : 0,
+                unit: type ? type.int16(0) : 0
+            };
+        });
+        return { fields, metadata };
+    }
+
+    /**
+     * 读取一个record batch，每列转换为Float64Array，空值为NaN
+     */
+    static readRecordBatch(view, table, schema, bodyStart) {
+        if (table.fieldOffset(3)) {
+            throw new Error('不支持压缩的Arrow数据');
+        }
+
+        const length = table.int64(0);
+        const nodes = table.vector(1);
+        const buffers = table.vector(2);
+        const readStruct = (vector, index) => ({
+            first: Number(view.getBigInt64(vector.start + index * 16, true)),
+            second: Number(view.getBigInt64(vector.start + index * 16 + 8, true))
+        });
+
+        const columns = {};
+        schema.fields.forEach((field, index) => {
+            const node = readStruct(nodes, index);
+            const validity = readStruct(buffers, index * 2);
+            const data = readStruct(buffers, index * 2 + 1);
+            columns[field.name] = ArrowIPCReader.readColumn(view, field, node.first, node.second,
+                bodyStart + validity.first, validity.second, bodyStart + data.first);
+        });
+        return { length, columns };
+    }
+
+    /**
+     * 读取定长数值列，时间戳统一转换为毫秒
+     */
+    static readColumn(view, field, length, nullCount, validityStart, validityLength, dataStart) {
+        const types = ArrowIPCReader.TYPES;
+        let width;
+        let reader;
+
+        switch (field.typeId) {
+            case types.INT:
+                width = field.bitWidth / 8;
+                reader = {
+                    8: field.signed ? (offset) => view.getInt8(offset) : (offset) => view.getUint8(offset),
+                    16: field.signed ? (offset) => view.getInt16(offset, true) : (offset) => view.getUint16(offset, true),
+                    32: field.signed ? (offset) => view.getInt32(offset, true) : (offset) => view.getUint32(offset, true),
+                    64: field.signed ? (offset) => Number(view.getBigInt64(offset, true)) : (offset) => Number(view.getBigUint64(offset, true))
+                }[field.bitWidth];
+                break;
+            case types.FLOATING_POINT:
+                width = field.precision === 2 ? 8 : 4;
+                reader = field.precision === 2 ? (offset) => view.getFloat64(offset, true)
+                    : field.precision === 1 ? (offset) => view.getFloat32(offset, true) : null;
+                break;
+            case types.TIMESTAMP: {
+                const scale = [1000, 1, 1e-3, 1e-6][field.unit];
+                width = 8;
+                reader = (offset) => Number(view.getBigInt64(offset, true)) * scale;
+                break;
+            }
+        }
+
+        if (!reader) {
+            throw new Error(`不支持的Arrow列类型: ${field.name}`);
+        }
+
+        const values = new Float64Array(length);
+        const hasNulls = nullCount > 0 && validityLength > 0;
+        for (let i = 0; i < length; i++) {
+            if (hasNulls && !(view.getUint8(validityStart + (i >> 3)) & (1 << (i & 7)))) {
+                values[i] = NaN;
+            } else {
+                values[i] = reader(dataStart + i * width);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * 合并多个record batch的列
+     */
+    static concat(schema, batches) {
+        const length = batches.reduce((sum, batch) => sum + batch.length, 0);
+        const columns = {};
+        schema.fields.forEach(field => {
+            const values = new Float64Array(length);
+            let offset = 0;
+            batches.forEach(batch => {
+                values.set(batch.columns[field.name], offset);
+                offset += batch.length;
+            });
+            columns[field.name] = values;
+        });
+        return { metadata: schema.metadata, columns, length };
+    }
+}
+
+/**
+ * 数据帧解码
+ */
+class BinaryFrameDecoder {
+    /**
+     * 支持的二进制编码
+     */
+    static get ENCODINGS() {
+        return ['arrow', 'msgpack'];
+    }
+
+    /**
+     * 解码数据帧
+     * @param {string} encoding - 'arrow' | 'msgpack'
+     * @param {ArrayBuffer|Uint8Array} buffer
+     */
+    static decode(encoding, buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        switch (encoding) {
+            case 'msgpack':
+                return BinaryFrameDecoder.fromMessagePack(MessagePackDecoder.decode(bytes));
+            case 'arrow':
+                return BinaryFrameDecoder.fromArrow(ArrowIPCReader.read(bytes));
+        }
+        throw new Error(`不支持的数据帧编码: ${encoding}`);
+    }
+
+    /**
+     * float64小端字节或数值数组转换为Float64Array
+     */
+    static toFloat64(value) {
+        if (value instanceof Float64Array) {
+            return value;
+        }
+        if (value instanceof Uint8Array) {
+            const view = new DataView(value.buffer, value.byteOffset, value.byteLength);
+            const result = new Float64Array(value.byteLength >> 3);
+            for (let i = 0; i < result.length; i++) {
+                result[i] = view.getFloat64(i * 8, true);
+            }
+            return result;
+        }
+        return Float64Array.from(value, item => item === null ? NaN : item);
+    }
+
+    /**
+     * MessagePack数据包：列式序列转换为类型化数组
+     */
+    static fromMessagePack(packet) {
+        if (!packet || typeof packet !== 'object') {
+            throw new Error('MessagePack数据帧不是对象');
+        }
+
+        Object.keys(packet).filter(key => key.endsWith('_group')).forEach(groupName => {
+            const group = packet[groupName];
+            Object.keys(group || {}).forEach(seriesName => {
+                const series = group[seriesName];
+                if (series && !Array.isArray(series) && series.time !== undefined) {
+                    group[seriesName] = {
+                        time: BinaryFrameDecoder.toFloat64(series.time),
+                        value: BinaryFrameDecoder.toFloat64(series.value || [])
+                    };
+                }
+            });
+        });
+        return packet;
+    }
+
+    /**
+     * Arrow数据：按列名 '<数据组>.<序列名>' 组装数据包，各序列共用time列
+     */
+    static fromArrow(table) {
+        const time = table.columns.time;
+        if (!time) {
+            throw new Error('Arrow数据缺少time列');
+        }
+
+        const packet = { metadata: JSON.parse(table.metadata.metadata || '{}') };
+        Object.entries(table.columns).forEach(([name, values]) => {
+            const separator = name.indexOf('.');
+            if (name === 'time' || separator === -1) {
+                return;
+            }
+            const groupName = name.slice(0, separator);
+            packet[groupName] = packet[groupName] || {};
+            // 每个序列单独复制time列，转移到主线程后互不影响
+            packet[groupName][name.slice(separator + 1)] = { time: time.slice(), value: values };
+        });
+        return packet;
+    }
+
+    /**
+     * 数据包中类型化数组的ArrayBuffer，用于postMessage转移
+     */
+    static getTransferables(packet) {
+        const buffers = new Set();
+        Object.keys(packet).filter(key => key.endsWith('_group')).forEach(groupName => {
+            Object.values(packet[groupName] || {}).forEach(series => {
+                if (series && ArrayBuffer.isView(series.time)) {
+                    buffers.add(series.time.buffer);
+                    buffers.add(series.value.buffer);
+                }
+            });
+        });
+        return [...buffers];
+    }
+
+    /**
+     * 逐点遍历序列，JSON的 [[time, value], ...] 和列式类型化数组都直接读取，不生成中间数组
+     * 列式序列跳过空值（NaN）
+     * @param {Array|Object} series
+     * @param {Function} callback - (time, value) => void
+     * @returns {boolean} 是否为可识别的序列
+     */
+    static forEachPoint(series, callback) {
+        if (Array.isArray(series)) {
+            for (const point of series) {
+                callback(point[0], point[1]);
+            }
+            return true;
+        }
+        if (!series || !ArrayBuffer.isView(series.time) || !ArrayBuffer.isView(series.value)) {
+            return false;
+        }
+
+        const { time, value } = series;
+        const length = Math.min(time.length, value.length);
+        for (let i = 0; i < length; i++) {
+            if (!Number.isNaN(value[i])) {
+                callback(time[i], value[i]);
+            }
+        }
+        return true;
+    }
+}
+
+// 导出给其他模块使用（Worker中没有window）
+if (typeof window !== 'undefined') {
+    window.BinaryFrameDecoder = BinaryFrameDecoder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MessagePackDecoder, FlatBufferTable, ArrowIPCReader, BinaryFrameDecoder };
+}
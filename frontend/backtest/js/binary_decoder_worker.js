@@ -0,0 +1,20 @@
+/**
+ * 二进制数据帧解码Worker
+ * 在后台线程解码MessagePack/Arrow数据帧，解码得到的类型化数组转移给主线程，不复制数据
+ *
+ * 消息格式:
+ * - 接收 {id, encoding, buffer}
+ * - 返回 {id, packet} 或 {id, error}
+ */
+
+importScripts('binary_decoder.js');
+
+self.onmessage = (event) => {
+    const { id, encoding, buffer } = event.data;
+    try {
+        const packet = BinaryFrameDecoder.decode(encoding, buffer);
+        self.postMessage({ id, packet }, BinaryFrameDecoder.getTransferables(packet));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -7,6 +7,8 @@
  * - Grid2: VVIE数据组 (V/VIB/VSD/VIB2)
  * - 实时数据更新和性能优化
  * - 交互功能和缩放控制
+ * - 连续交易时段时间轴：去除午休和隔夜空白，并标记各交易时段起点
+ * - 序列可以是数据点数组，也可以是二进制数据帧解码得到的 {time, value} 类型化数组
  */
 
 class ChartsManager {
@@ -33,6 +35,10 @@ class ChartsManager {
         this.maxDataPoints = 1000; // 最大数据点数量
         this.updateBatchSize = 10;  // 批量更新大小
 
+        // 交易日历：横坐标为连续交易时段坐标，显示时转换回实际时间
+        this.calendar = window.tradingCalendar || initTradingCalendarModule();
+        this.timeRange = null;     // setTimeRange设置的坐标范围
+
         // 初始化图表
         this.initCharts();
         this.bindEvents();
@@ -84,10 +90,10 @@ class ChartsManager {
                         backgroundColor: '#6a7985'
                     }
                 },
-                formatter: function (params) {
+                formatter: (params) => {
                     let html = `<div style="font-size: 14px;">`;
                     html += `<div style="margin-bottom: 8px; font-weight: bold;">`;
-                    html += `时间: ${new Date(params[0].value[0]).toLocaleTimeString()}`;
+                    html += `时间: ${this.formatAxisTime(params[0].value[0])}`;
                     html += `</div>`;
 
                     params.forEach(param => {
@@ -122,14 +128,18 @@ class ChartsManager {
             },
 
             xAxis: {
-                type: 'time',
-                boundaryGap: false,
+                type: 'value',
+                min: 'dataMin',
+                max: 'dataMax',
                 axisLabel: {
-                    formatter: function (value) {
-                        return new Date(value).toLocaleTimeString();
-                    },
+                    formatter: (value) => this.formatAxisTime(value),
                     fontSize: 11
                 },
+                axisPointer: {
+                    label: {
+                        formatter: (params) => this.formatAxisTime(params.value)
+                    }
+                },
                 axisLine: {
                     lineStyle: {
                         color: '#d9d9d9'
@@ -176,6 +186,7 @@ class ChartsManager {
                     end: 100,
                     height: 10,
                     bottom: 10,
+                    labelFormatter: (value) => this.formatAxisTime(value),
                     textStyle: {
                         fontSize: 10
                     }
@@ -257,10 +268,10 @@ class ChartsManager {
                         backgroundColor: '#6a7985'
                     }
                 },
-                formatter: function (params) {
+                formatter: (params) => {
                     let html = `<div style="font-size: 14px;">`;
                     html += `<div style="margin-bottom: 8px; font-weight: bold;">`;
-                    html += `时间: ${new Date(params[0].value[0]).toLocaleTimeString()}`;
+                    html += `时间: ${this.formatAxisTime(params[0].value[0])}`;
                     html += `</div>`;
 
                     params.forEach(param => {
@@ -295,14 +306,18 @@ class ChartsManager {
             },
 
             xAxis: {
-                type: 'time',
-                boundaryGap: false,
+                type: 'value',
+                min: 'dataMin',
+                max: 'dataMax',
                 axisLabel: {
-                    formatter: function (value) {
-                        return new Date(value).toLocaleTimeString();
-                    },
+                    formatter: (value) => this.formatAxisTime(value),
                     fontSize: 11
                 },
+                axisPointer: {
+                    label: {
+                        formatter: (params) => this.formatAxisTime(params.value)
+                    }
+                },
                 axisLine: {
                     lineStyle: {
                         color: '#d9d9d9'
@@ -349,6 +364,7 @@ class ChartsManager {
                     end: 100,
                     height: 10,
                     bottom: 10,
+                    labelFormatter: (value) => this.formatAxisTime(value),
                     textStyle: {
                         fontSize: 10
                     }
@@ -425,28 +441,82 @@ class ChartsManager {
     setTimeRange(startTime, endTime) {
         const start = new Date(startTime).getTime();
         const end = new Date(endTime).getTime();
+        const min = this.calendar.toSessionTime(start);
+        const max = this.calendar.toSessionTime(end);
+
+        // 范围完全落在休市时间内时映射为同一点，改为按数据自动缩放
+        this.timeRange = max > min ? [min, max] : null;
+        const xAxis = this.timeRange ? {min: min, max: max} : {min: 'dataMin', max: 'dataMax'};
 
         if (this.ppieChart) {
-            this.ppieChart.setOption({
-                xAxis: {
-                    min: start,
-                    max: end
-                }
-            });
+            this.ppieChart.setOption({xAxis});
+            this.renderSeries(this.ppieChart, Object.values(this.dataBuffer.ppie));
         }
 
         if (this.vvieChart) {
-            this.vvieChart.setOption({
-                xAxis: {
-                    min: start,
-                    max: end
-                }
-            });
+            this.vvieChart.setOption({xAxis});
+            this.renderSeries(this.vvieChart, Object.values(this.dataBuffer.vvie));
         }
 
         console.log(`⏰ 设置时间范围: ${new Date(start).toLocaleString()} - ${new Date(end).toLocaleString()}`);
     }
 
+    /**
+     * 连续交易时段坐标格式化为实际时间
+     */
+    formatAxisTime(value) {
+        return new Date(this.calendar.fromSessionTime(value)).toLocaleTimeString();
+    }
+
+    /**
+     * 将 [时间, 数值] 数据点映射到连续交易时段坐标
+     * 交易时段外的数据点（集合竞价、午休、盘后）在坐标轴上没有位置，不绘制，
+     * 否则会被挤到同一个时段边界上；原始数据仍保留在缓存中
+     */
+    toSessionData(data) {
+        const result = [];
+        for (const point of data) {
+            const time = new Date(point[0]).getTime();
+            if (this.calendar.isTradingTime(time)) {
+                result.push([this.calendar.toSessionTime(time), point[1]]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 坐标范围内的交易时段分界线：开盘为虚线，午后开盘为点线
+     */
+    getSessionMarkLine(min, max) {
+        const boundaries = isFinite(min) && isFinite(max) ? this.calendar.getSessionBoundaries(min, max) : [];
+        return {
+            symbol: 'none',
+            silent: true,
+            animation: false,
+            label: {show: false},
+            data: boundaries.map(boundary => ({
+                xAxis: boundary.value,
+                lineStyle: {color: '#909399', width: 1, type: boundary.type === 'day' ? 'dashed' : 'dotted'}
+            }))
+        };
+    }
+
+    /**
+     * 按连续交易时段坐标刷新图表的序列数据，时段分界线绘制在第一条序列上
+     * @param {Object} chart - ECharts实例
+     * @param {Array<Array>} buffers - 各序列的 [时间, 数值] 数据，顺序与series一致
+     */
+    renderSeries(chart, buffers) {
+        const series = buffers.map(buffer => ({data: this.toSessionData(buffer)}));
+
+        const values = series.flatMap(s => s.data.length > 0 ? [s.data[0][0], s.data[s.data.length - 1][0]] : []);
+        const min = this.timeRange ? this.timeRange[0] : Math.min(...values);
+        const max = this.timeRange ? this.timeRange[1] : Math.max(...values);
+        series[0].markLine = this.getSessionMarkLine(min, max);
+
+        chart.setOption({series});
+    }
+
         /**
      * 启用图表联动功能
      */
@@ -529,14 +599,27 @@ class ChartsManager {
         }
     }
 
+    /**
+     * 追加数据点，series为JSON数据点数组或二进制帧解码出的类型化数组，直接从中读取
+     * 补发的数据包早于已有数据时按时间重新排序
+     */
+    appendPoints(buffer, series) {
+        const start = buffer.length;
+        const lastTime = start > 0 ? buffer[start - 1][0] : null;
+        BinaryFrameDecoder.forEachPoint(series, (time, value) => buffer.push([time, value]));
+        if (lastTime !== null && buffer.length > start && buffer[start][0] < lastTime) {
+            buffer.sort((a, b) => a[0] - b[0]);
+        }
+    }
+
     /**
      * 更新PPIE图表数据
      */
     updatePPIEData(ppieData) {
         // 更新数据缓存
         for (const [key, value] of Object.entries(ppieData)) {
-            if (this.dataBuffer.ppie[key] && Array.isArray(value)) {
-                this.dataBuffer.ppie[key].push(...value);
+            if (this.dataBuffer.ppie[key]) {
+                this.appendPoints(this.dataBuffer.ppie[key], value);
 
                 // 限制数据点数量
                 if (this.dataBuffer.ppie[key].length > this.maxDataPoints) {
@@ -546,14 +629,12 @@ class ChartsManager {
         }
 
         // 更新图表
-        this.ppieChart.setOption({
-            series: [
-                { data: this.dataBuffer.ppie.p_data },
-                { data: this.dataBuffer.ppie.pib_data },
-                { data: this.dataBuffer.ppie.psd_data },
-                { data: this.dataBuffer.ppie.peb_data }
-            ]
-        });
+        this.renderSeries(this.ppieChart, [
+            this.dataBuffer.ppie.p_data,
+            this.dataBuffer.ppie.pib_data,
+            this.dataBuffer.ppie.psd_data,
+            this.dataBuffer.ppie.peb_data
+        ]);
     }
 
     /**
@@ -562,8 +643,8 @@ class ChartsManager {
     updateVVIEData(vvieData) {
         // 更新数据缓存
         for (const [key, value] of Object.entries(vvieData)) {
-            if (this.dataBuffer.vvie[key] && Array.isArray(value)) {
-                this.dataBuffer.vvie[key].push(...value);
+            if (this.dataBuffer.vvie[key]) {
+                this.appendPoints(this.dataBuffer.vvie[key], value);
 
                 // 限制数据点数量
                 if (this.dataBuffer.vvie[key].length > this.maxDataPoints) {
@@ -573,14 +654,12 @@ class ChartsManager {
         }
 
         // 更新图表
-        this.vvieChart.setOption({
-            series: [
-                { data: this.dataBuffer.vvie.v_data },
-                { data: this.dataBuffer.vvie.vib_data },
-                { data: this.dataBuffer.vvie.vsd_data },
-                { data: this.dataBuffer.vvie.veb_data }
-            ]
-        });
+        this.renderSeries(this.vvieChart, [
+            this.dataBuffer.vvie.v_data,
+            this.dataBuffer.vvie.vib_data,
+            this.dataBuffer.vvie.vsd_data,
+            this.dataBuffer.vvie.veb_data
+        ]);
     }
 
     /**
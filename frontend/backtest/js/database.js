@@ -107,36 +107,39 @@ class DatabaseManager {
             const timestamp = metadata.timestamp;
             const trading_session = metadata.trading_session || '';
             const sequence_id = metadata.sequence_id;
+            const symbol = metadata.symbol || '';
             
             // 准备批量插入的数据
             const records = [];
             
             // 处理PPIE数据组
-            for (const [seriesName, dataPoints] of Object.entries(ppie_group)) {
-                for (const [pointTime, pointValue] of dataPoints) {
+            for (const [seriesName, dataPoints] of Object.entries(ppie_group || {})) {
+                BinaryFrameDecoder.forEachPoint(dataPoints, (pointTime, pointValue) => {
                     records.push({
                         timestamp: pointTime,
                         series_name: seriesName.replace('_data', '').toUpperCase(),
                         value: pointValue,
                         trading_session: trading_session,
                         sequence_id: sequence_id,
+                        symbol: symbol,
                         data_group: 'PPIE'
                     });
-                }
+                });
             }
             
             // 处理VVIE数据组
-            for (const [seriesName, dataPoints] of Object.entries(vvie_group)) {
-                for (const [pointTime, pointValue] of dataPoints) {
+            for (const [seriesName, dataPoints] of Object.entries(vvie_group || {})) {
+                BinaryFrameDecoder.forEachPoint(dataPoints, (pointTime, pointValue) => {
                     records.push({
                         timestamp: pointTime,
                         series_name: seriesName.replace('_data', '').toUpperCase(),
                         value: pointValue,
                         trading_session: trading_session,
                         sequence_id: sequence_id,
+                        symbol: symbol,
                         data_group: 'VVIE'
                     });
-                }
+                });
             }
             
             // 批量插入数据
@@ -219,6 +219,14 @@ class Application {
                     this.modules.toolbar.updateConnectionState(status);
                 }
             });
+            
+            // 订阅变化
+            this.modules.websocket.on('onSubscriptionChange', (subscriptions) => {
+                if (this.modules.toolbar) {
+                    this.modules.toolbar.updateSubscription(subscriptions);
+                }
+                this.logEvent('subscription_changed', { subscriptions });
+            });
         }
         
         console.log('✅ 模块间事件绑定完成');
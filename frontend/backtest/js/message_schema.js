@@ -0,0 +1,346 @@
+/**
+ * 消息格式校验模块
+ * 为WebSocket的每种消息类型登记带版本号的格式定义，按连接时协商的协议版本校验收到的消息
+ *
+ * 功能特性:
+ * - 消息格式登记：realtime_data、history_response、connection_status
+ * - 协议版本：每个协议版本对应各消息类型使用的格式版本
+ * - 校验结果给出全部不合法字段的路径和原因
+ *
+ * 格式定义（JSON Schema的子集）:
+ * - type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'typedarray'，可为数组
+ * - required: 必需字段
+ * - properties: 指定字段的格式
+ * - patternProperties: 字段名匹配正则时的格式
+ * - items: 数组元素的格式
+ * - enum: 允许的取值
+ * - minItems: 数组最少元素数
+ * - anyOf: 满足其中任一格式即可
+ * - check(value): 自定义校验，返回错误原因或null
+ */
+
+class MessageSchemaRegistry {
+    constructor() {
+        // 消息类型 -> Map(格式版本 -> 格式定义)
+        this.schemas = new Map();
+        // 协议版本 -> {消息类型: 格式版本}
+        this.protocols = new Map();
+    }
+
+    /**
+     * 数据点格式：[时间, 数值]
+     */
+    static get POINT_SCHEMA() {
+        return {
+            type: 'array',
+            minItems: 2,
+            items: { type: ['number', 'string', 'null'] }
+        };
+    }
+
+    /**
+     * 序列格式：数据点数组，或二进制数据帧解码得到的 {time, value} 类型化数组
+     */
+    static get SERIES_SCHEMA() {
+        return {
+            anyOf: [
+                { type: 'array', items: MessageSchemaRegistry.POINT_SCHEMA },
+                {
+                    type: 'object',
+                    required: ['time', 'value'],
+                    properties: {
+                        time: { type: 'typedarray' },
+                        value: { type: 'typedarray' }
+                    },
+                    check: (series) => series.time.length === series.value.length ? null : 'time和value长度不一致'
+                }
+            ]
+        };
+    }
+
+    /**
+     * 数据组格式：序列名 -> 序列
+     */
+    static groupSchema(fields) {
+        const series = MessageSchemaRegistry.SERIES_SCHEMA;
+        const schema = { type: 'object', patternProperties: { '.*': series } };
+        if (fields) {
+            schema.required = fields;
+        }
+        return schema;
+    }
+
+    /**
+     * 默认的消息格式
+     * realtime_data v1 固定为PPIE和VVIE两个数据组，v2 接受任意以 _group 结尾的数据组
+     */
+    static get DEFAULT_SCHEMAS() {
+        const metadata = {
+            type: 'object',
+            required: ['timestamp', 'sequence_id'],
+            properties: {
+                timestamp: { type: ['string', 'number'] },
+                sequence_id: { type: ['integer', 'string'] },
+                trading_session: { type: 'string' },
+                symbol: { type: 'string' }
+            }
+        };
+        const hasGroup = (message) => Object.keys(message).some(key => key.endsWith('_group'))
+            ? null : '没有数据组';
+
+        return {
+            realtime_data: {
+                1: {
+                    type: 'object',
+                    required: ['metadata'],
+                    properties: {
+                        metadata: metadata,
+                        ppie_group: MessageSchemaRegistry.groupSchema(['p_data', 'pib_data', 'psd_data', 'peb_data']),
+                        vvie_group: MessageSchemaRegistry.groupSchema(['v_data', 'vib_data', 'vsd_data', 'veb_data'])
+                    },
+                    check: (message) => message.ppie_group || message.vvie_group ? null : '没有数据组'
+                },
+                2: {
+                    type: 'object',
+                    required: ['metadata'],
+                    properties: {
+                        metadata: metadata
+                    },
+                    patternProperties: {
+                        '_group$': MessageSchemaRegistry.groupSchema()
+                    },
+                    check: hasGroup
+                }
+            },
+            history_response: {
+                1: {
+                    type: 'object',
+                    required: ['status'],
+                    properties: {
+                        status: { type: 'string', enum: ['success', 'error'] },
+                        request_type: { type: 'string' },
+                        count: { type: 'number' },
+                        message: { type: 'string' }
+                    },
+                    check: (message) => message.status === 'success' && message.data === undefined ? '成功响应缺少data' : null
+                }
+            },
+            connection_status: {
+                1: {
+                    type: 'object',
+                    properties: {
+                        server_time: { type: ['string', 'number'] },
+                        is_trading_time: { type: 'boolean' },
+                        protocol_version: { type: 'integer' }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * 默认的协议版本，1为不支持协商的旧服务器使用的版本
+     */
+    static get DEFAULT_PROTOCOLS() {
+        return {
+            1: { realtime_data: 1, history_response: 1, connection_status: 1 },
+            2: { realtime_data: 2, history_response: 1, connection_status: 1 }
+        };
+    }
+
+    /**
+     * 登记消息格式
+     */
+    register(type, version, schema) {
+        if (!this.schemas.has(type)) {
+            this.schemas.set(type, new Map());
+        }
+        this.schemas.get(type).set(Number(version), schema);
+    }
+
+    /**
+     * 登记协议版本
+     * @param {number} version - 协议版本
+     * @param {Object} versions - {消息类型: 格式版本}
+     */
+    registerProtocol(version, versions) {
+        this.protocols.set(Number(version), { ...versions });
+    }
+
+    /**
+     * 支持的协议版本，从高到低排列
+     */
+    getProtocolVersions() {
+        return [...this.protocols.keys()].sort((a, b) => b - a);
+    }
+
+    /**
+     * 是否支持该协议版本
+     */
+    supportsProtocol(version) {
+        return this.protocols.has(Number(version));
+    }
+
+    /**
+     * 获取协议版本下某消息类型的格式定义
+     */
+    getSchema(type, protocolVersion) {
+        const protocol = this.protocols.get(Number(protocolVersion));
+        const versions = this.schemas.get(type);
+        if (!protocol || !versions) {
+            return null;
+        }
+        return versions.get(protocol[type]) || null;
+    }
+
+    /**
+     * 按协议版本校验消息
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    validate(type, message, protocolVersion) {
+        const schema = this.getSchema(type, protocolVersion);
+        if (!schema) {
+            return { valid: false, errors: [`协议版本 ${protocolVersion} 未定义消息类型 ${type}`] };
+        }
+
+        const errors = [];
+        MessageSchemaRegistry.validateValue(schema, message, type, errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * 值的类型名称，整数同时属于number和integer
+     */
+    static matchesType(value, type) {
+        switch (type) {
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'null':
+                return value === null;
+            case 'typedarray':
+                return ArrayBuffer.isView(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * 按格式定义校验值，错误原因追加到errors
+     */
+    static validateValue(schema, value, path, errors) {
+        // 任一格式校验通过即可，都不通过时优先报告类型相符的格式的原因
+        if (schema.anyOf) {
+            let best = null;
+            for (const option of schema.anyOf) {
+                const optionErrors = [];
+                MessageSchemaRegistry.validateValue(option, value, path, optionErrors);
+                if (optionErrors.length === 0) {
+                    return;
+                }
+                const typeMatched = !option.type
+                    || [].concat(option.type).some(type => MessageSchemaRegistry.matchesType(value, type));
+                if (!best || (typeMatched && !best.typeMatched)) {
+                    best = { errors: optionErrors, typeMatched };
+                }
+            }
+            errors.push(...best.errors);
+            return;
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => MessageSchemaRegistry.matchesType(value, type))) {
+                errors.push(`${path}: 类型应为 ${types.join('|')}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: 取值不在 ${schema.enum.join('|')} 中`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path}: 至少需要 ${schema.minItems} 个元素`);
+            }
+            if (schema.items) {
+                // 只报告第一个不合法的元素，避免大数组产生大量重复原因
+                for (let i = 0; i < value.length; i++) {
+                    const count = errors.length;
+                    MessageSchemaRegistry.validateValue(schema.items, value[i], `${path}[${i}]`, errors);
+                    if (errors.length > count) {
+                        break;
+                    }
+                }
+            }
+        } else if (value !== null && typeof value === 'object') {
+            (schema.required || []).forEach(field => {
+                if (value[field] === undefined || value[field] === null) {
+                    errors.push(`${path}.${field}: 缺少必需字段`);
+                }
+            });
+
+            Object.entries(value).forEach(([field, fieldValue]) => {
+                if (fieldValue === undefined) {
+                    return;
+                }
+                const fieldSchema = schema.properties && schema.properties[field];
+                if (fieldSchema) {
+                    MessageSchemaRegistry.validateValue(fieldSchema, fieldValue, `${path}.${field}`, errors);
+                    return;
+                }
+                Object.entries(schema.patternProperties || {}).forEach(([pattern, patternSchema]) => {
+                    if (new RegExp(pattern).test(field)) {
+                        MessageSchemaRegistry.validateValue(patternSchema, fieldValue, `${path}.${field}`, errors);
+                    }
+                });
+            });
+        }
+
+        if (schema.check && errors.length === 0) {
+            const reason = schema.check(value);
+            if (reason) {
+                errors.push(`${path}: ${reason}`);
+            }
+        }
+    }
+
+    /**
+     * 错误原因的分类，去掉数组下标以便统计
+     */
+    static getReasonKey(error) {
+        return error.replace(/\[\d+\]/g, '[]');
+    }
+}
+
+// 全局消息格式登记实例
+window.messageSchemaRegistry = null;
+
+// 消息格式模块初始化函数
+function initMessageSchemaModule() {
+    try {
+        const registry = new MessageSchemaRegistry();
+        Object.entries(MessageSchemaRegistry.DEFAULT_SCHEMAS).forEach(([type, versions]) => {
+            Object.entries(versions).forEach(([version, schema]) => registry.register(type, version, schema));
+        });
+        Object.entries(MessageSchemaRegistry.DEFAULT_PROTOCOLS).forEach(([version, versions]) => {
+            registry.registerProtocol(version, versions);
+        });
+
+        window.messageSchemaRegistry = registry;
+        console.log('✅ 消息格式模块初始化完成');
+        return window.messageSchemaRegistry;
+    } catch (error) {
+        console.error('❌ 消息格式模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MessageSchemaRegistry, initMessageSchemaModule };
+}
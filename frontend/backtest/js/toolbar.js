@@ -7,6 +7,8 @@
  * - 数据流控制
  * - 状态监控显示
  * - 图表操作控制
+ * - 股票订阅切换
+ * - 心跳延迟走势图
  * - 错误处理和用户反馈
  */
 
@@ -53,6 +55,17 @@ class ToolbarManager {
             this.handleClearData();
         });
         
+        // 订阅按钮和股票代码输入框
+        $('#subscribe-btn').on('click', () => {
+            this.handleSubscribe();
+        });
+        
+        $('#symbol-input').on('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.handleSubscribe();
+            }
+        });
+        
         // 图表控制按钮 (在charts.js中已定义，这里只做状态管理)
         console.log('✅ 工具栏事件绑定完成');
     }
@@ -166,6 +179,67 @@ class ToolbarManager {
         }
     }
     
+    /**
+     * 处理订阅：切换股票时先取消原有订阅并清空图表
+     */
+    handleSubscribe() {
+        try {
+            if (!window.websocketManager) {
+                this.showError('WebSocket管理器未初始化');
+                return;
+            }
+            
+            const symbol = $('#symbol-input').val().trim().toUpperCase();
+            if (!symbol) {
+                this.showNotification('请输入股票代码', 'warning');
+                return;
+            }
+            
+            const groups = $('.series-group-check:checked').map((index, checkbox) => checkbox.value).get();
+            if (groups.length === 0) {
+                this.showNotification('请至少选择一个数据组', 'warning');
+                return;
+            }
+            
+            const interval = parseInt($('#sample-interval').val()) || 3;
+            const current = window.websocketManager.getSubscriptions();
+            
+            if (!current.some(subscription => subscription.symbol === symbol)) {
+                window.websocketManager.unsubscribe();
+                if (window.chartsManager) {
+                    window.chartsManager.clearChartsData();
+                }
+            }
+            window.websocketManager.subscribe(symbol, { groups, interval });
+            
+            this.logAction(`订阅 ${symbol} [${groups.join(',')}] ${interval}秒`);
+            
+        } catch (error) {
+            console.error('❌ 订阅失败:', error);
+            this.showError('订阅操作失败: ' + error.message);
+        }
+    }
+    
+    /**
+     * 更新订阅显示
+     */
+    updateSubscription(subscriptions) {
+        const text = subscriptions.length > 0
+            ? subscriptions.map(subscription => `${subscription.symbol} (${subscription.groups.join('/').toUpperCase()}, ${subscription.interval}秒)`).join('，')
+            : '未订阅';
+        $('#subscription-text').text(text);
+        
+        // 输入框和选项同步为当前订阅
+        if (subscriptions.length > 0) {
+            const subscription = subscriptions[0];
+            $('#symbol-input').val(subscription.symbol);
+            $('.series-group-check').each((index, checkbox) => {
+                checkbox.checked = subscription.groups.includes(checkbox.value);
+            });
+            $('#sample-interval').val(String(subscription.interval));
+        }
+    }
+    
     /**
      * 更新连接状态
      */
@@ -346,6 +420,9 @@ class ToolbarManager {
                 this.updateConnectionDuration(connectionInfo.connectionDuration);
             }
             
+            // 更新延迟显示
+            this.updateLatency(window.websocketManager.getLatencyStats(), networkQuality);
+            
             // 检查网络质量
             if (networkQuality.quality === 'poor') {
                 this.showNetworkWarning();
@@ -372,6 +449,64 @@ class ToolbarManager {
         $('#connection-duration').text(timeString);
     }
     
+    /**
+     * 更新延迟显示：中位往返延迟、走势图，悬停提示中显示直方图、数据延迟和时钟偏差
+     */
+    updateLatency(stats, networkQuality) {
+        const formatMs = (value) => value === null ? '--' : `${Math.round(value)} ms`;
+        
+        $('#latency-value')
+            .text(formatMs(stats.median))
+            .removeClass('good fair poor')
+            .addClass(networkQuality.quality);
+        
+        const histogram = stats.histogram
+            .filter(bucket => bucket.count > 0)
+            .map(bucket => `${bucket.min}-${bucket.max === Infinity ? '' : bucket.max} ms: ${bucket.count}`);
+        $('#latency-item').attr('title', [
+            `最近: ${formatMs(stats.last)}，P95: ${formatMs(stats.p95)}`,
+            `数据延迟: ${formatMs(stats.lag)}`,
+            `时钟偏差: ${formatMs(stats.clockOffset)}`,
+            stats.heartbeatSupported ? `未确认心跳: ${stats.missedHeartbeats}` : '服务器尚未确认心跳，延迟未知',
+            ...histogram
+        ].join('\n'));
+        
+        this.drawSparkline(stats.samples);
+    }
+    
+    /**
+     * 绘制延迟走势图
+     */
+    drawSparkline(samples) {
+        const canvas = document.getElementById('latency-sparkline');
+        if (!canvas || !canvas.getContext) {
+            return;
+        }
+        
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        context.clearRect(0, 0, width, height);
+        if (samples.length < 2) {
+            return;
+        }
+        
+        const max = Math.max(...samples, 1);
+        const step = width / (samples.length - 1);
+        context.beginPath();
+        samples.forEach((value, index) => {
+            const x = index * step;
+            const y = height - 1 - (value / max) * (height - 2);
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.strokeStyle = '#1890ff';
+        context.lineWidth = 1;
+        context.stroke();
+    }
+    
     /**
      * 显示网络警告
      */
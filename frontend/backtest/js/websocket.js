@@ -8,6 +8,27 @@
  * - 实时数据接收和处理
  * - 连接状态监控
  * - 数据验证和错误处理
+ * - 序列号连续性检查：按交易时段跟踪sequence_id，丢弃重复数据包，
+ *   发现缺口时按序列号区间请求补发，重连后重新请求仍未补齐的区间
+ * - 订阅协议：按股票代码订阅数据组和采样间隔，重连后自动重新订阅
+ * - 消息格式校验：连接后协商协议版本，按版本校验消息，不合法的消息隔离并按原因计数
+ * - 心跳和延迟：应用层心跳测量往返延迟，估计与服务器的时钟偏差，计算数据包从服务器到客户端的延迟
+ * - 二进制数据帧：连接时协商MessagePack/Arrow编码，在Web Worker中解码，不支持时使用JSON
+ *
+ * 订阅消息:
+ * - 发送 subscribe {symbols, groups, interval}、unsubscribe {symbols}
+ * - 接收 subscription_status {status, symbols, message}
+ *
+ * 协议协商消息:
+ * - 发送 negotiate_protocol {versions: 支持的协议版本，从高到低, encodings: 支持的数据帧编码，按优先级}
+ * - 接收 protocol_negotiated {version, encoding, heartbeat: 是否支持心跳}，或connection_status中的protocol_version
+ * - 服务器未响应时按协议版本1和JSON编码处理
+ * - 协商为二进制编码后，实时数据通过 realtime_binary 事件以ArrayBuffer发送
+ *
+ * 心跳消息:
+ * - 发送 heartbeat {client_time}，服务器通过确认回调返回 {server_time}
+ * - 服务器确认过心跳或协商时声明支持心跳后，连续多次未收到确认时断开并重连；
+ *   此前未确认的心跳不计数，延迟显示为未知，避免不支持心跳的服务器被反复断开
  */
 
 class WebSocketManager {
@@ -25,13 +46,54 @@ class WebSocketManager {
         this.receivedDataCount = 0;
         this.connectionDuration = 0;
         
+        // 序列号跟踪：交易时段 -> {last: 最大序列号, missing: 缺失的序列号}
+        this.sequenceStates = new Map();
+        this.maxMissingSequences = 1000; // 每个时段最多跟踪的缺失序列号数量
+        this.gapCount = 0; // 累计缺失的数据包数
+        this.duplicateCount = 0; // 累计丢弃的重复数据包数
+        this.backfilledCount = 0; // 累计补齐的数据包数
+        
+        // 订阅：股票代码 -> {groups, interval}
+        this.subscriptions = new Map();
+        
+        // 消息格式校验和隔离区
+        this.schemaRegistry = window.messageSchemaRegistry || initMessageSchemaModule();
+        this.protocolVersion = 1; // 协商前按协议版本1校验
+        this.quarantine = []; // 最近隔离的消息 {type, received_at, errors, message}
+        this.maxQuarantine = 100;
+        this.quarantineCount = 0;
+        this.quarantineReasons = new Map(); // 原因 -> 次数
+        
+        // 心跳和延迟统计
+        this.heartbeatInterval = 5000; // 心跳间隔5秒
+        this.heartbeatTimeout = 5000; // 心跳确认超时5秒
+        this.maxMissedHeartbeats = 3; // 连续未确认次数达到后重连
+        this.heartbeatSupported = false; // 服务器确认过心跳或协商时声明支持后才按超时重连
+        this.heartbeatTimer = null;
+        this.missedHeartbeats = 0;
+        this.maxLatencySamples = 60; // 保留最近的样本数
+        this.latencySamples = []; // 往返延迟（毫秒）
+        this.lagSamples = []; // 服务器到客户端的数据延迟（毫秒）
+        this.clockOffsets = []; // 服务器时钟 - 本地时钟（毫秒）
+        this.latencyHistogram = WebSocketManager.LATENCY_BUCKETS.map(() => 0);
+        
+        // 二进制数据帧解码
+        this.encoding = 'json'; // 协商的数据帧编码
+        this.binaryDisabled = typeof Worker === 'undefined'; // 不支持Worker或Worker出错后只使用JSON
+        this.decoderWorkerUrl = 'js/binary_decoder_worker.js';
+        this.decoderWorker = null;
+        this.decodeRequests = new Map(); // 解码请求id -> 编码
+        this.nextDecodeId = 0;
+        this.binaryFrameCount = 0;
+        
         // 事件回调函数
         this.callbacks = {
             onConnect: [],
             onDisconnect: [],
             onData: [],
             onError: [],
-            onStatusChange: []
+            onStatusChange: [],
+            onSubscriptionChange: []
         };
         
         // 连接状态定时器
@@ -78,8 +140,16 @@ class WebSocketManager {
             this.lastDataTime = new Date();
             
             this.startConnectionTimer();
+            this.startHeartbeat();
             this.updateConnectionStatus('connected');
             this.triggerCallback('onConnect');
+            
+            // 协商协议版本并重新发送订阅
+            this.negotiateProtocol();
+            this.resubscribe();
+            
+            // 重连后补发断线前未补齐的数据包，断线期间的缺口在收到新数据包时检测
+            this.requestPendingBackfill();
         });
         
         // 连接断开事件
@@ -87,8 +157,12 @@ class WebSocketManager {
             console.log('🔌 WebSocket连接断开:', reason);
             this.isConnected = false;
             this.isConnecting = false;
+            this.protocolVersion = 1;
+            this.encoding = 'json';
+            this.heartbeatSupported = false;
             
             this.stopConnectionTimer();
+            this.stopHeartbeat();
             this.updateConnectionStatus('disconnected');
             this.triggerCallback('onDisconnect', reason);
             
@@ -113,18 +187,53 @@ class WebSocketManager {
             this.handleRealtimeData(data);
         });
         
+        // 二进制实时数据事件
+        this.socket.on('realtime_binary', (buffer) => {
+            this.handleBinaryFrame(buffer);
+        });
+        
         // 连接状态事件
         this.socket.on('connection_status', (status) => {
             console.log('📡 服务器状态:', status);
+            if (!this.validateMessage('connection_status', status)) {
+                return;
+            }
+            if (status.protocol_version !== undefined) {
+                this.setProtocolVersion(status.protocol_version);
+            }
+            if (status.server_time !== undefined) {
+                this.recordServerTime(status.server_time);
+            }
             this.updateServerStatus(status);
         });
         
+        // 协议协商结果事件
+        this.socket.on('protocol_negotiated', (result) => {
+            console.log('📡 协议协商结果:', result);
+            if (!result) {
+                return;
+            }
+            if (result.version !== undefined) {
+                this.setProtocolVersion(result.version);
+            }
+            this.setEncoding(result.encoding);
+            if (result.heartbeat) {
+                this.heartbeatSupported = true;
+            }
+        });
+        
         // 历史数据响应事件
         this.socket.on('history_response', (response) => {
             console.log('📊 历史数据响应:', response);
             this.handleHistoryResponse(response);
         });
         
+        // 订阅结果事件
+        this.socket.on('subscription_status', (status) => {
+            console.log('📡 订阅状态:', status);
+            this.handleSubscriptionStatus(status);
+        });
+        
         // 通用错误事件
         this.socket.on('error', (error) => {
             console.error('❌ Socket错误:', error);
@@ -165,6 +274,7 @@ class WebSocketManager {
         
         console.log('🔌 断开WebSocket连接...');
         this.stopConnectionTimer();
+        this.stopHeartbeat();
         
         if (this.socket) {
             this.socket.disconnect();
@@ -180,12 +290,30 @@ class WebSocketManager {
      */
     handleRealtimeData(data) {
         try {
-            // 数据验证
+            // 数据验证，不合法的数据包已隔离
             if (!this.validateRealtimeData(data)) {
-                console.warn('⚠️ 接收到无效数据:', data);
                 return;
             }
             
+            // 丢弃已取消订阅的股票的数据包（取消订阅前已发出的数据）
+            if (!this.isSubscribed(data.metadata.symbol)) {
+                console.debug('⚠️ 丢弃未订阅股票的数据包:', data.metadata.symbol);
+                return;
+            }
+            
+            // 序列号检查，重复的数据包直接丢弃
+            const sequenceResult = this.checkSequence(data.metadata);
+            if (sequenceResult === 'duplicate') {
+                console.debug('⚠️ 丢弃重复数据包:', data.metadata.sequence_id);
+                this.updateDataStatistics();
+                return;
+            }
+            
+            // 补发的数据包不计入数据延迟
+            if (sequenceResult === 'new') {
+                this.recordLag(data.metadata.timestamp);
+            }
+            
             // 更新统计信息
             this.receivedDataCount++;
             this.lastDataTime = new Date();
@@ -213,44 +341,312 @@ class WebSocketManager {
      * 验证实时数据格式
      */
     validateRealtimeData(data) {
-        if (!data || typeof data !== 'object') {
-            return false;
+        return this.validateMessage('realtime_data', data);
+    }
+    
+    /**
+     * 按当前协议版本校验消息，不合法的消息放入隔离区
+     * @returns {boolean} 是否合法
+     */
+    validateMessage(type, message) {
+        const result = this.schemaRegistry.validate(type, message, this.protocolVersion);
+        if (!result.valid) {
+            this.quarantineMessage(type, message, result.errors);
+        }
+        return result.valid;
+    }
+    
+    /**
+     * 隔离不合法的消息并按原因计数
+     */
+    quarantineMessage(type, message, errors) {
+        this.quarantineCount++;
+        this.quarantine.push({
+            type: type,
+            received_at: Date.now(),
+            protocol_version: this.protocolVersion,
+            errors: errors,
+            message: message
+        });
+        if (this.quarantine.length > this.maxQuarantine) {
+            this.quarantine.shift();
         }
         
-        // 检查必要字段
-        if (!data.metadata || !data.ppie_group || !data.vvie_group) {
-            return false;
+        errors.forEach(error => {
+            const reason = MessageSchemaRegistry.getReasonKey(error);
+            this.quarantineReasons.set(reason, (this.quarantineReasons.get(reason) || 0) + 1);
+        });
+        
+        console.debug(`⚠️ 隔离不合法的${type}消息:`, errors);
+        this.updateDataStatistics();
+    }
+    
+    /**
+     * 获取隔离区信息
+     * @returns {{count: number, reasons: Array<{reason: string, count: number}>, recent: Array}}
+     */
+    getQuarantine() {
+        return {
+            count: this.quarantineCount,
+            reasons: [...this.quarantineReasons]
+                .map(([reason, count]) => ({ reason, count }))
+                .sort((a, b) => b.count - a.count),
+            recent: [...this.quarantine]
+        };
+    }
+    
+    /**
+     * 发送支持的协议版本和数据帧编码
+     */
+    negotiateProtocol() {
+        const versions = this.schemaRegistry.getProtocolVersions();
+        const encodings = this.getSupportedEncodings();
+        console.log('📡 协商协议版本:', { versions, encodings });
+        this.socket.emit('negotiate_protocol', { versions, encodings });
+    }
+    
+    /**
+     * 支持的数据帧编码，按优先级排列
+     */
+    getSupportedEncodings() {
+        return this.binaryDisabled ? ['json'] : [...BinaryFrameDecoder.ENCODINGS, 'json'];
+    }
+    
+    /**
+     * 设置服务器确认的数据帧编码，未指定或不支持时使用JSON
+     */
+    setEncoding(encoding) {
+        if (encoding && !this.getSupportedEncodings().includes(encoding)) {
+            console.error('❌ 服务器使用了不支持的数据帧编码:', encoding);
+            this.triggerCallback('onError', new Error(`不支持的数据帧编码: ${encoding}`));
+            encoding = 'json';
+        }
+        this.encoding = encoding || 'json';
+        console.log(`✅ 使用数据帧编码 ${this.encoding}`);
+    }
+    
+    /**
+     * 获取解码Worker，首次使用时创建
+     */
+    getDecoderWorker() {
+        if (this.decoderWorker || this.binaryDisabled) {
+            return this.decoderWorker;
         }
         
-        // 检查metadata字段
-        const metadata = data.metadata;
-        if (!metadata.timestamp || !metadata.sequence_id) {
-            return false;
+        try {
+            this.decoderWorker = new Worker(this.decoderWorkerUrl);
+            this.decoderWorker.onmessage = (event) => this.handleDecodedFrame(event.data);
+            this.decoderWorker.onerror = (event) => {
+                console.error('❌ 解码Worker出错:', event.message);
+                this.disableBinary();
+            };
+        } catch (error) {
+            console.error('❌ 创建解码Worker失败:', error);
+            this.disableBinary();
         }
+        return this.decoderWorker;
+    }
+    
+    /**
+     * 停用二进制编码，已连接时重新协商为JSON
+     */
+    disableBinary() {
+        this.binaryDisabled = true;
+        if (this.decoderWorker) {
+            this.decoderWorker.terminate();
+            this.decoderWorker = null;
+        }
+        this.decodeRequests.clear();
         
-        // 检查PPIE数据组
-        const ppieGroup = data.ppie_group;
-        const requiredPpieFields = ['p_data', 'pib_data', 'psd_data', 'peb_data'];
-        if (!requiredPpieFields.every(field => Array.isArray(ppieGroup[field]))) {
-            return false;
+        if (this.isConnected && this.encoding !== 'json') {
+            console.warn('⚠️ 二进制解码不可用，改用JSON');
+            this.encoding = 'json';
+            this.negotiateProtocol();
         }
+    }
+    
+    /**
+     * 处理二进制数据帧：转移到Worker中解码
+     */
+    handleBinaryFrame(buffer) {
+        if (this.encoding === 'json') {
+            this.quarantineMessage('realtime_binary', null, ['realtime_binary: 未协商二进制编码']);
+            return;
+        }
+        
+        const worker = this.getDecoderWorker();
+        if (!worker) {
+            this.quarantineMessage('realtime_binary', null, ['realtime_binary: 二进制解码不可用']);
+            return;
+        }
+        
+        const bytes = ArrayBuffer.isView(buffer)
+            ? buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+            : buffer;
+        const id = ++this.nextDecodeId;
+        this.decodeRequests.set(id, this.encoding);
+        worker.postMessage({ id, encoding: this.encoding, buffer: bytes }, [bytes]);
+    }
+    
+    /**
+     * 处理Worker返回的解码结果，解码后的数据包按实时数据处理
+     */
+    handleDecodedFrame({ id, packet, error }) {
+        const encoding = this.decodeRequests.get(id) || this.encoding;
+        this.decodeRequests.delete(id);
         
-        // 检查VVIE数据组
-        const vvieGroup = data.vvie_group;
-        const requiredVvieFields = ['v_data', 'vib_data', 'vsd_data', 'veb_data'];
-        if (!requiredVvieFields.every(field => Array.isArray(vvieGroup[field]))) {
-            return false;
+        if (error) {
+            this.quarantineMessage('realtime_binary', null, [`realtime_binary: ${encoding}解码失败: ${error}`]);
+            return;
         }
         
-        return true;
+        this.binaryFrameCount++;
+        this.handleRealtimeData(packet);
+    }
+    
+    /**
+     * 设置服务器确认的协议版本，不支持的版本保持原版本
+     */
+    setProtocolVersion(version) {
+        if (!this.schemaRegistry.supportsProtocol(version)) {
+            console.error('❌ 服务器使用了不支持的协议版本:', version);
+            this.triggerCallback('onError', new Error(`不支持的协议版本: ${version}`));
+            return;
+        }
+        this.protocolVersion = Number(version);
+        console.log(`✅ 使用协议版本 ${this.protocolVersion}`);
+    }
+    
+    /**
+     * 序列号跟踪的标识，序列号在每只股票的每个交易时段内连续
+     */
+    static getSessionKey(metadata) {
+        return `${metadata.symbol || ''}|${metadata.trading_session || 'default'}`;
+    }
+    
+    /**
+     * 有序序列号列表合并为连续区间 [[start, end], ...]
+     */
+    static toRanges(sequences) {
+        const ranges = [];
+        sequences.forEach(sequence => {
+            const last = ranges[ranges.length - 1];
+            if (last && sequence === last[1] + 1) {
+                last[1] = sequence;
+            } else {
+                ranges.push([sequence, sequence]);
+            }
+        });
+        return ranges;
+    }
+    
+    /**
+     * 检查数据包序列号
+     * @returns {string} 'new' 新数据包 | 'backfill' 补齐缺口的数据包 | 'duplicate' 重复数据包
+     */
+    checkSequence(metadata) {
+        const sequence = Number(metadata.sequence_id);
+        if (!Number.isInteger(sequence)) {
+            return 'new';
+        }
+        
+        const session = WebSocketManager.getSessionKey(metadata);
+        const state = this.sequenceStates.get(session);
+        
+        // 首个数据包，或序列号远小于已收到的序列号（服务器重启后重新编号）
+        if (!state || sequence < state.last - this.maxMissingSequences) {
+            this.sequenceStates.set(session, {
+                symbol: metadata.symbol || null,
+                trading_session: metadata.trading_session || null,
+                last: sequence,
+                missing: new Set()
+            });
+            return 'new';
+        }
+        
+        if (sequence > state.last) {
+            if (sequence > state.last + 1) {
+                const start = state.last + 1;
+                const end = sequence - 1;
+                this.gapCount += end - start + 1;
+                
+                // 缺口过大时只跟踪最近的序列号
+                for (let missing = Math.max(start, end - this.maxMissingSequences + 1); missing <= end; missing++) {
+                    state.missing.add(missing);
+                }
+                const overflow = state.missing.size - this.maxMissingSequences;
+                if (overflow > 0) {
+                    [...state.missing].sort((a, b) => a - b).slice(0, overflow)
+                        .forEach(missing => state.missing.delete(missing));
+                }
+                
+                console.warn(`⚠️ 序列号缺口 [${session}]: ${start} - ${end}`);
+                this.requestSequenceRange(state, Math.max(start, end - this.maxMissingSequences + 1), end);
+            }
+            state.last = sequence;
+            return 'new';
+        }
+        
+        if (state.missing.delete(sequence)) {
+            this.backfilledCount++;
+            return 'backfill';
+        }
+        
+        this.duplicateCount++;
+        return 'duplicate';
+    }
+    
+    /**
+     * 获取尚未补齐的序列号区间
+     * @returns {Array<{symbol: string, trading_session: string, ranges: Array<[number, number]>}>}
+     */
+    getMissingRanges() {
+        const result = [];
+        this.sequenceStates.forEach(state => {
+            if (state.missing.size > 0) {
+                result.push({
+                    symbol: state.symbol,
+                    trading_session: state.trading_session,
+                    ranges: WebSocketManager.toRanges([...state.missing].sort((a, b) => a - b))
+                });
+            }
+        });
+        return result;
+    }
+    
+    /**
+     * 尚未补齐的数据包数量
+     */
+    getMissingCount() {
+        let count = 0;
+        this.sequenceStates.forEach(state => count += state.missing.size);
+        return count;
+    }
+    
+    /**
+     * 请求补发全部未补齐的区间
+     */
+    requestPendingBackfill() {
+        this.getMissingRanges().forEach(target => {
+            target.ranges.forEach(([start, end]) => this.requestSequenceRange(target, start, end));
+        });
     }
     
     /**
      * 处理历史数据响应
+     * 按序列号区间补发的响应中data为数据包数组，逐个按实时数据处理
      */
     handleHistoryResponse(response) {
         try {
-            if (response.status === 'success') {
+            if (!this.validateMessage('history_response', response)) {
+                return;
+            }
+            
+            if (response.status === 'success' && response.request_type === 'sequence_range') {
+                const packets = Array.isArray(response.data) ? response.data : [];
+                console.log(`📊 补发数据包: ${packets.length} 个`);
+                packets.forEach(packet => this.handleRealtimeData(packet));
+            } else if (response.status === 'success') {
                 console.log(`📊 历史数据加载成功: ${response.count} 条记录`);
                 this.triggerCallback('onData', response.data);
             } else {
@@ -280,6 +676,131 @@ class WebSocketManager {
         });
     }
     
+    /**
+     * 按序列号区间请求补发数据包
+     * @param {Object} target - {symbol, trading_session}
+     */
+    requestSequenceRange(target, startSequence, endSequence) {
+        if (!this.isConnected) {
+            console.warn('⚠️ 未连接，重连后再请求补发');
+            return;
+        }
+        
+        console.log('📊 请求补发数据包:', { symbol: target.symbol, session: target.trading_session, startSequence, endSequence });
+        
+        this.socket.emit('request_history', {
+            request_type: 'sequence_range',
+            symbol: target.symbol,
+            trading_session: target.trading_session,
+            start_sequence: startSequence,
+            end_sequence: endSequence
+        });
+    }
+    
+    /**
+     * 订阅股票数据
+     * @param {string|Array<string>} symbols - 股票代码
+     * @param {Object} options - {groups: 数据组 ['ppie', 'vvie'], interval: 采样间隔（秒）}
+     */
+    subscribe(symbols, options = {}) {
+        const list = [].concat(symbols).filter(Boolean);
+        if (list.length === 0) {
+            return;
+        }
+        
+        const subscription = {
+            groups: options.groups && options.groups.length > 0 ? [...options.groups] : ['ppie', 'vvie'],
+            interval: options.interval || 3
+        };
+        list.forEach(symbol => this.subscriptions.set(symbol, subscription));
+        
+        this.sendSubscribe(list, subscription);
+        this.triggerCallback('onSubscriptionChange', this.getSubscriptions());
+    }
+    
+    /**
+     * 取消订阅，不传参数时取消全部订阅
+     */
+    unsubscribe(symbols) {
+        const list = symbols === undefined ? [...this.subscriptions.keys()] : [].concat(symbols);
+        if (list.length === 0) {
+            return;
+        }
+        
+        list.forEach(symbol => this.subscriptions.delete(symbol));
+        
+        // 丢弃已取消股票的序号状态，其缺失的数据包不再计数，重连后也不再补齐
+        for (const [key, state] of this.sequenceStates) {
+            if (list.includes(state.symbol)) {
+                this.sequenceStates.delete(key);
+            }
+        }
+        this.updateDataStatistics();
+        
+        if (this.isConnected) {
+            console.log('📡 取消订阅:', list);
+            this.socket.emit('unsubscribe', { symbols: list });
+        }
+        this.triggerCallback('onSubscriptionChange', this.getSubscriptions());
+    }
+    
+    /**
+     * 发送订阅消息，未连接时在连接成功后发送
+     */
+    sendSubscribe(symbols, subscription) {
+        if (!this.isConnected) {
+            console.log('📡 未连接，连接成功后发送订阅:', symbols);
+            return;
+        }
+        
+        console.log('📡 订阅:', { symbols, ...subscription });
+        this.socket.emit('subscribe', {
+            symbols: symbols,
+            groups: subscription.groups,
+            interval: subscription.interval
+        });
+    }
+    
+    /**
+     * 重新发送全部订阅，设置相同的股票合并为一条消息
+     */
+    resubscribe() {
+        const batches = new Map();
+        this.subscriptions.forEach((subscription, symbol) => {
+            const key = JSON.stringify(subscription);
+            if (!batches.has(key)) {
+                batches.set(key, { subscription, symbols: [] });
+            }
+            batches.get(key).symbols.push(symbol);
+        });
+        batches.forEach(({ subscription, symbols }) => this.sendSubscribe(symbols, subscription));
+    }
+    
+    /**
+     * 处理订阅结果
+     */
+    handleSubscriptionStatus(status) {
+        if (status.status === 'error') {
+            console.error('❌ 订阅失败:', status.message);
+            this.triggerCallback('onError', new Error(`订阅失败: ${status.message}`));
+        }
+    }
+    
+    /**
+     * 是否接收该股票的数据，没有任何订阅或数据包不带股票代码时全部接收
+     */
+    isSubscribed(symbol) {
+        return !symbol || this.subscriptions.size === 0 || this.subscriptions.has(symbol);
+    }
+    
+    /**
+     * 获取当前订阅
+     * @returns {Array<{symbol: string, groups: Array<string>, interval: number}>}
+     */
+    getSubscriptions() {
+        return [...this.subscriptions].map(([symbol, subscription]) => ({ symbol, ...subscription }));
+    }
+    
     /**
      * 计划重连
      */
@@ -308,6 +829,161 @@ class WebSocketManager {
         }, delay);
     }
     
+    /**
+     * 往返延迟直方图的分桶上限（毫秒），最后一个桶不设上限
+     */
+    static get LATENCY_BUCKETS() {
+        return [20, 50, 100, 200, 500, 1000, Infinity];
+    }
+    
+    /**
+     * 解析服务器时间为毫秒时间戳，数值小于1e12时按秒处理
+     */
+    static parseTimestamp(value) {
+        if (typeof value === 'number') {
+            return value < 1e12 ? value * 1000 : value;
+        }
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+    
+    /**
+     * 中位数
+     */
+    static median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = sorted.length >> 1;
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    
+    /**
+     * 追加样本，超过保留数量时丢弃最早的样本
+     */
+    pushSample(samples, value) {
+        samples.push(value);
+        if (samples.length > this.maxLatencySamples) {
+            samples.shift();
+        }
+    }
+    
+    /**
+     * 启动心跳
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.missedHeartbeats = 0;
+        this.sendHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+    }
+    
+    /**
+     * 停止心跳
+     */
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+    
+    /**
+     * 发送心跳，通过确认回调测量往返延迟
+     */
+    sendHeartbeat() {
+        if (!this.isConnected) {
+            return;
+        }
+        
+        const sentAt = Date.now();
+        this.socket.timeout(this.heartbeatTimeout).emit('heartbeat', { client_time: sentAt }, (error, reply) => {
+            if (error) {
+                // 服务器可能不支持心跳，确认支持前不计为未确认
+                if (!this.heartbeatSupported) {
+                    return;
+                }
+                this.missedHeartbeats++;
+                console.warn(`⚠️ 心跳超时 (${this.missedHeartbeats}/${this.maxMissedHeartbeats})`);
+                if (this.missedHeartbeats >= this.maxMissedHeartbeats && this.isConnected) {
+                    console.error('❌ 心跳连续超时，重新连接');
+                    this.socket.disconnect();
+                    this.scheduleReconnect();
+                }
+                return;
+            }
+            
+            const receivedAt = Date.now();
+            this.heartbeatSupported = true;
+            this.missedHeartbeats = 0;
+            this.recordLatency(receivedAt - sentAt);
+            
+            // 假设往返路径对称，服务器时间对应往返的中点
+            const serverTime = reply ? WebSocketManager.parseTimestamp(reply.server_time) : null;
+            if (serverTime !== null) {
+                this.pushSample(this.clockOffsets, serverTime - (sentAt + receivedAt) / 2);
+            }
+        });
+    }
+    
+    /**
+     * 记录往返延迟
+     */
+    recordLatency(latency) {
+        this.pushSample(this.latencySamples, latency);
+        const bucket = WebSocketManager.LATENCY_BUCKETS.findIndex(limit => latency < limit);
+        this.latencyHistogram[bucket]++;
+    }
+    
+    /**
+     * 根据connection_status中的服务器时间估计时钟偏差，扣除半个往返延迟
+     */
+    recordServerTime(value) {
+        const serverTime = WebSocketManager.parseTimestamp(value);
+        if (serverTime === null) {
+            return;
+        }
+        const halfLatency = (WebSocketManager.median(this.latencySamples) || 0) / 2;
+        this.pushSample(this.clockOffsets, serverTime + halfLatency - Date.now());
+    }
+    
+    /**
+     * 记录数据包从服务器生成到客户端收到的延迟，按估计的时钟偏差校正
+     */
+    recordLag(value) {
+        const timestamp = WebSocketManager.parseTimestamp(value);
+        if (timestamp === null) {
+            return;
+        }
+        const clockOffset = WebSocketManager.median(this.clockOffsets) || 0;
+        this.pushSample(this.lagSamples, Date.now() + clockOffset - timestamp);
+    }
+    
+    /**
+     * 获取延迟统计
+     */
+    getLatencyStats() {
+        const sorted = [...this.latencySamples].sort((a, b) => a - b);
+        const buckets = WebSocketManager.LATENCY_BUCKETS;
+        
+        return {
+            last: this.latencySamples.length > 0 ? this.latencySamples[this.latencySamples.length - 1] : null,
+            median: WebSocketManager.median(this.latencySamples),
+            p95: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : null,
+            samples: [...this.latencySamples],
+            histogram: this.latencyHistogram.map((count, index) => ({
+                min: index === 0 ? 0 : buckets[index - 1],
+                max: buckets[index],
+                count: count
+            })),
+            lag: WebSocketManager.median(this.lagSamples),
+            clockOffset: WebSocketManager.median(this.clockOffsets),
+            heartbeatSupported: this.heartbeatSupported,
+            missedHeartbeats: this.missedHeartbeats
+        };
+    }
+    
     /**
      * 启动连接计时器
      */
@@ -387,6 +1063,11 @@ class WebSocketManager {
     updateDataStatistics() {
         $('#received-count').text(this.receivedDataCount);
         $('#sequence-number').text(this.receivedDataCount);
+        $('#gap-count').text(this.getMissingCount())
+            .attr('title', `累计缺失: ${this.gapCount}，已补齐: ${this.backfilledCount}，重复丢弃: ${this.duplicateCount}`);
+        $('#quarantine-count').text(this.quarantineCount)
+            .attr('title', this.getQuarantine().reasons.slice(0, 5)
+                .map(({ reason, count }) => `${reason} (${count})`).join('\n') || '无');
     }
     
     /**
@@ -449,12 +1130,27 @@ class WebSocketManager {
             connectionDuration: this.connectionDuration,
             receivedDataCount: this.receivedDataCount,
             lastDataTime: this.lastDataTime,
+            subscriptions: this.getSubscriptions(),
+            protocolVersion: this.protocolVersion,
+            encoding: this.encoding,
+            binaryFrameCount: this.binaryFrameCount,
+            quarantine: {
+                count: this.quarantineCount,
+                reasons: this.getQuarantine().reasons
+            },
+            sequence: {
+                gapCount: this.gapCount,
+                missingCount: this.getMissingCount(),
+                backfilledCount: this.backfilledCount,
+                duplicateCount: this.duplicateCount
+            },
             serverUrl: this.serverUrl
         };
     }
     
     /**
      * 获取网络质量信息
+     * 根据心跳往返延迟和未确认的心跳判断，不依赖是否有数据（非交易时间也有效）
      */
     getNetworkQuality() {
         if (!this.isConnected) {
@@ -463,16 +1159,23 @@ class WebSocketManager {
         
         const now = new Date();
         const timeSinceLastData = this.lastDataTime ? now - this.lastDataTime : null;
+        const latency = WebSocketManager.median(this.latencySamples);
         
-        let quality = 'good';
-        if (timeSinceLastData > 10000) { // 10秒无数据
+        let quality = 'unknown';
+        if (this.missedHeartbeats >= 2 || latency > 500) {
             quality = 'poor';
-        } else if (timeSinceLastData > 5000) { // 5秒无数据
+        } else if (this.missedHeartbeats > 0 || latency > 200) {
             quality = 'fair';
+        } else if (latency !== null) {
+            quality = 'good';
         }
         
         return {
             quality: quality,
+            latency: latency,
+            lag: WebSocketManager.median(this.lagSamples),
+            clockOffset: WebSocketManager.median(this.clockOffsets),
+            missedHeartbeats: this.missedHeartbeats,
             timeSinceLastData: timeSinceLastData,
             dataRate: this.receivedDataCount / (this.connectionDuration / 1000 || 1)
         };
@@ -484,6 +1187,17 @@ class WebSocketManager {
     resetStatistics() {
         this.receivedDataCount = 0;
         this.lastDataTime = null;
+        this.sequenceStates.clear();
+        this.gapCount = 0;
+        this.duplicateCount = 0;
+        this.backfilledCount = 0;
+        this.quarantine = [];
+        this.quarantineCount = 0;
+        this.quarantineReasons.clear();
+        this.latencySamples = [];
+        this.lagSamples = [];
+        this.clockOffsets = [];
+        this.latencyHistogram = WebSocketManager.LATENCY_BUCKETS.map(() => 0);
         this.updateDataStatistics();
         console.log('📊 统计信息已重置');
     }
@@ -495,6 +1209,12 @@ class WebSocketManager {
         console.log('🔄 销毁WebSocket管理器...');
         
         this.stopConnectionTimer();
+        this.stopHeartbeat();
+        
+        if (this.decoderWorker) {
+            this.decoderWorker.terminate();
+            this.decoderWorker = null;
+        }
         
         if (this.socket) {
             this.socket.disconnect();
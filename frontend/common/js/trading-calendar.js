@@ -0,0 +1,337 @@
+/**
+ * 交易日历模块
+ * 分析、回测和实时页面共用的A股交易时段与节假日日历
+ *
+ * 功能特性:
+ * - 交易时段（默认 09:30-11:30、13:00-14:57）和休市日判断
+ * - 按交易日平移时间，保留当日时刻
+ * - 连续交易时段坐标：去掉午休、隔夜和休市日，使时间轴没有空白
+ * - 生成时段分界位置，用于在图表中标记开盘和午后开盘
+ *
+ * 所有时间均为毫秒时间戳，按浏览器本地时间（Asia/Shanghai）计算
+ * 节假日表需按交易所每年发布的休市安排更新，也可通过 addHolidays 追加
+ */
+
+class TradingCalendar {
+    constructor(options = {}) {
+        this.sessions = (options.sessions || TradingCalendar.DEFAULT_SESSIONS).map(session => ({
+            start: TradingCalendar.parseClock(session.start),
+            end: TradingCalendar.parseClock(session.end)
+        }));
+        // 每个交易日的交易时长（毫秒）
+        this.sessionLength = this.sessions.reduce((sum, session) => sum + (session.end - session.start), 0) * 1000;
+
+        this.holidays = new Set();
+        this.holidayNumbers = [];   // 休市日（工作日）相对基准日的天数，升序
+        this.addHolidays(options.holidays || TradingCalendar.DEFAULT_HOLIDAYS);
+    }
+
+    /**
+     * 默认交易时段：14:57之后为收盘集合竞价，不计入连续交易
+     */
+    static get DEFAULT_SESSIONS() {
+        return [
+            {start: '09:30', end: '11:30'},
+            {start: '13:00', end: '14:57'}
+        ];
+    }
+
+    /**
+     * 沪深交易所休市日（仅列出工作日，周末始终休市）
+     */
+    static get DEFAULT_HOLIDAYS() {
+        return [
+            // 2024
+            '2024-01-01', '2024-02-09', '2024-02-12', '2024-02-13', '2024-02-14', '2024-02-15', '2024-02-16',
+            '2024-04-04', '2024-04-05', '2024-05-01', '2024-05-02', '2024-05-03', '2024-06-10',
+            '2024-09-16', '2024-09-17', '2024-10-01', '2024-10-02', '2024-10-03', '2024-10-04', '2024-10-07',
+            // 2025
+            '2025-01-01', '2025-01-28', '2025-01-29', '2025-01-30', '2025-01-31', '2025-02-03', '2025-02-04',
+            '2025-04-04', '2025-05-01', '2025-05-02', '2025-05-05', '2025-06-02',
+            '2025-10-01', '2025-10-02', '2025-10-03', '2025-10-06', '2025-10-07', '2025-10-08',
+            // 2026
+            '2026-01-01', '2026-01-02', '2026-02-16', '2026-02-17', '2026-02-18', '2026-02-19', '2026-02-20',
+            '2026-02-23', '2026-04-06', '2026-05-01', '2026-05-04', '2026-05-05', '2026-06-19',
+            '2026-09-25', '2026-10-01', '2026-10-02', '2026-10-05', '2026-10-06', '2026-10-07'
+        ];
+    }
+
+    /**
+     * 连续交易时段坐标的基准日（周一），坐标值只取决于时间本身，多次渲染之间保持一致
+     */
+    static get ORIGIN() {
+        return new Date(2000, 0, 3).getTime();
+    }
+
+    /**
+     * 'HH:mm[:ss]' 转换为当日秒数
+     */
+    static parseClock(text) {
+        const [hours, minutes, seconds = 0] = String(text).split(':').map(Number);
+        return hours * 3600 + minutes * 60 + seconds;
+    }
+
+    /**
+     * 当日零点的时间戳
+     */
+    static startOfDay(time) {
+        const date = new Date(time);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+
+    /**
+     * 日期键 'YYYY-MM-DD'
+     */
+    static dateKey(time) {
+        const date = new Date(time);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * 日期相对基准日的天数
+     */
+    static dayNumber(time) {
+        return Math.round((TradingCalendar.startOfDay(time) - TradingCalendar.ORIGIN) / 86400000);
+    }
+
+    /**
+     * 天数对应日期的零点时间戳
+     */
+    static dayStart(dayNumber) {
+        const origin = new Date(TradingCalendar.ORIGIN);
+        return new Date(origin.getFullYear(), origin.getMonth(), origin.getDate() + dayNumber).getTime();
+    }
+
+    /**
+     * 追加休市日
+     * @param {Array<string>} dates - 'YYYY-MM-DD'
+     */
+    addHolidays(dates) {
+        dates.forEach(date => this.holidays.add(date));
+
+        this.holidayNumbers = Array.from(this.holidays)
+            .map(date => {
+                const [year, month, day] = date.split('-').map(Number);
+                return TradingCalendar.dayNumber(new Date(year, month - 1, day).getTime());
+            })
+            .filter(number => ((number % 7) + 7) % 7 < 5)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * 是否为交易日
+     */
+    isTradingDay(time) {
+        const day = new Date(time).getDay();
+        return day !== 0 && day !== 6 && !this.holidays.has(TradingCalendar.dateKey(time));
+    }
+
+    /**
+     * 是否处于交易时段内
+     */
+    isTradingTime(time) {
+        if (!this.isTradingDay(time)) {
+            return false;
+        }
+        const seconds = (time - TradingCalendar.startOfDay(time)) / 1000;
+        return this.sessions.some(session => seconds >= session.start && seconds <= session.end);
+    }
+
+    /**
+     * 按交易日平移，保留当日时刻
+     * @param {number} time - 时间戳
+     * @param {number} days - 平移的交易日数，负数向前
+     */
+    shiftTradingDays(time, days) {
+        const date = new Date(time);
+        const step = days > 0 ? 1 : -1;
+        let remaining = Math.abs(days);
+        while (remaining > 0) {
+            date.setDate(date.getDate() + step);
+            if (this.isTradingDay(date.getTime())) {
+                remaining--;
+            }
+        }
+        return date.getTime();
+    }
+
+    /**
+     * 不晚于指定时间的最近一个交易日（同日为交易日时返回自身）
+     */
+    latestTradingDay(time) {
+        return this.isTradingDay(time) ? time : this.shiftTradingDays(time, -1);
+    }
+
+    /**
+     * 当日开盘时间
+     */
+    getOpenTime(time) {
+        return TradingCalendar.startOfDay(time) + this.sessions[0].start * 1000;
+    }
+
+    /**
+     * 当日收盘时间
+     */
+    getCloseTime(time) {
+        return TradingCalendar.startOfDay(time) + this.sessions[this.sessions.length - 1].end * 1000;
+    }
+
+    /**
+     * 当日的交易时段，非交易日返回空数组
+     * @returns {Array<{start: number, end: number}>}
+     */
+    getSessions(time) {
+        if (!this.isTradingDay(time)) {
+            return [];
+        }
+        const dayStart = TradingCalendar.startOfDay(time);
+        return this.sessions.map(session => ({
+            start: dayStart + session.start * 1000,
+            end: dayStart + session.end * 1000
+        }));
+    }
+
+    /**
+     * 基准日到指定天数（含）之间的交易日数减一，即该日（或之前最近交易日）的交易日序号
+     */
+    tradingOrdinal(dayNumber) {
+        const days = dayNumber + 1;
+        const weekdays = Math.floor(days / 7) * 5 + Math.min(((days % 7) + 7) % 7, 5);
+
+        // 不大于dayNumber的休市日个数
+        let low = 0;
+        let high = this.holidayNumbers.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.holidayNumbers[mid] <= dayNumber) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return weekdays - low - 1;
+    }
+
+    /**
+     * 转换为连续交易时段坐标：交易日序号 × 日交易时长 + 当日已交易时长
+     * 午休时间归到上午收盘，休市日归到前一交易日收盘
+     */
+    toSessionTime(time) {
+        const dayStart = TradingCalendar.startOfDay(time);
+        const ordinal = this.tradingOrdinal(TradingCalendar.dayNumber(time));
+
+        if (!this.isTradingDay(time)) {
+            return (ordinal + 1) * this.sessionLength;
+        }
+
+        const seconds = (time - dayStart) / 1000;
+        let elapsed = 0;
+        for (const session of this.sessions) {
+            if (seconds >= session.end) {
+                elapsed += session.end - session.start;
+            } else {
+                if (seconds > session.start) {
+                    elapsed += seconds - session.start;
+                }
+                break;
+            }
+        }
+        return ordinal * this.sessionLength + elapsed * 1000;
+    }
+
+    /**
+     * 连续交易时段坐标转换回时间戳
+     */
+    fromSessionTime(value) {
+        const ordinal = Math.floor(value / this.sessionLength);
+        let remaining = (value - ordinal * this.sessionLength) / 1000;
+
+        // 先按工作日估算日期，再按休市日向后修正
+        let dayNumber = Math.floor(ordinal / 5) * 7 + ((ordinal % 5) + 5) % 5;
+        for (;;) {
+            const diff = ordinal - this.tradingOrdinal(dayNumber);
+            if (diff === 0 && this.isTradingDay(TradingCalendar.dayStart(dayNumber))) {
+                break;
+            }
+            dayNumber += Math.max(1, diff);
+        }
+
+        const dayStart = TradingCalendar.dayStart(dayNumber);
+        for (let i = 0; i < this.sessions.length; i++) {
+            const length = this.sessions[i].end - this.sessions[i].start;
+            if (remaining <= length || i === this.sessions.length - 1) {
+                return dayStart + (this.sessions[i].start + Math.min(remaining, length)) * 1000;
+            }
+            remaining -= length;
+        }
+        return dayStart;
+    }
+
+    /**
+     * 坐标区间内各交易时段起点在连续交易时段坐标中的位置
+     * @returns {Array<{value: number, time: number, type: 'day'|'session'}>} type为day表示开盘，session表示午后开盘等
+     */
+    getSessionBoundaries(minValue, maxValue) {
+        const boundaries = [];
+        const first = Math.floor(minValue / this.sessionLength);
+        const last = Math.floor(maxValue / this.sessionLength);
+
+        for (let ordinal = first; ordinal <= last; ordinal++) {
+            let offset = 0;
+            this.sessions.forEach((session, index) => {
+                const value = ordinal * this.sessionLength + offset * 1000;
+                if (value > minValue && value <= maxValue) {
+                    boundaries.push({value, time: this.fromSessionTime(value + 1), type: index === 0 ? 'day' : 'session'});
+                }
+                offset += session.end - session.start;
+            });
+        }
+        return boundaries;
+    }
+
+    /**
+     * 原始时间序列中相邻两点跨越交易时段的位置，用于类目轴
+     * @param {Array<number>} times - 升序时间戳
+     * @returns {Array<{index: number, type: 'day'|'session'}>} index为新时段第一个点的下标
+     */
+    getSessionBreaks(times) {
+        const breaks = [];
+        const sessionOf = (time) => {
+            const seconds = (time - TradingCalendar.startOfDay(time)) / 1000;
+            let index = 0;
+            while (index < this.sessions.length - 1 && seconds >= this.sessions[index].end) {
+                index++;
+            }
+            return index;
+        };
+
+        for (let i = 1; i < times.length; i++) {
+            if (TradingCalendar.dateKey(times[i]) !== TradingCalendar.dateKey(times[i - 1])) {
+                breaks.push({index: i, type: 'day'});
+            } else if (sessionOf(times[i]) !== sessionOf(times[i - 1])) {
+                breaks.push({index: i, type: 'session'});
+            }
+        }
+        return breaks;
+    }
+}
+
+// 全局交易日历实例
+window.tradingCalendar = null;
+
+// 交易日历模块初始化函数
+function initTradingCalendarModule(options) {
+    try {
+        window.tradingCalendar = new TradingCalendar(options);
+        console.log('✅ 交易日历模块初始化完成');
+        return window.tradingCalendar;
+    } catch (error) {
+        console.error('❌ 交易日历模块初始化失败:', error);
+        throw error;
+    }
+}
+
+// 导出给其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {TradingCalendar, initTradingCalendarModule};
+}
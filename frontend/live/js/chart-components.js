@@ -8,6 +8,8 @@ class ChartComponents {
         this.charts = {};
         this.themes = this.getChartTheme();
         this.currentData = {};
+        // 交易日历：类目轴本身没有时间空白，用于标记各交易时段的起点
+        this.calendar = window.tradingCalendar || initTradingCalendarModule();
     }
 
     /**
@@ -584,6 +586,7 @@ class ChartComponents {
 
         const times = data.map(item => this.formatTime(item.timestamp));
         const closes = data.map(item => item.close);
+        const sessionMarkLine = this.getSessionMarkLine(data);
 
         // 计算移动平均线
         const ma3 = window.dataCalculator.calculateMA(closes, 3);
@@ -596,7 +599,7 @@ class ChartComponents {
                 data: times
             },
             series: [
-                { data: klineData },
+                { data: klineData, markLine: sessionMarkLine },
                 { data: ma3 },
                 { data: ma5 },
                 { data: ma10 },
@@ -618,6 +621,7 @@ class ChartComponents {
 
         const times = data.map(item => this.formatTime(item.timestamp));
         const volumes = data.map(item => item.volume);
+        const sessionMarkLine = this.getSessionMarkLine(data);
 
         // 计算成交量移动平均
         const volumeMa5 = window.dataCalculator.calculateMA(volumes, 5);
@@ -629,7 +633,7 @@ class ChartComponents {
                 data: times
             },
             series: [
-                { data: volumes },
+                { data: volumes, markLine: sessionMarkLine },
                 { data: volumeMa5 },
                 { data: volumeMa10 },
                 { data: volumeMa15 }
@@ -650,6 +654,7 @@ class ChartComponents {
 
         const times = data.map(item => this.formatTime(item.timestamp));
         const closes = data.map(item => item.close);
+        const sessionMarkLine = this.getSessionMarkLine(data);
 
         // 计算MACD
         const macdData = window.dataCalculator.calculateMACD(closes);
@@ -659,7 +664,7 @@ class ChartComponents {
                 data: times
             },
             series: [
-                { data: macdData.dif },
+                { data: macdData.dif, markLine: sessionMarkLine },
                 { data: macdData.dea },
                 { data: macdData.macd }
             ]
@@ -681,6 +686,7 @@ class ChartComponents {
         const highs = data.map(item => item.high);
         const lows = data.map(item => item.low);
         const closes = data.map(item => item.close);
+        const sessionMarkLine = this.getSessionMarkLine(data);
 
         // 计算KDJ
         const kdjData = window.dataCalculator.calculateKDJ(highs, lows, closes);
@@ -690,7 +696,7 @@ class ChartComponents {
                 data: times
             },
             series: [
-                { data: kdjData.k },
+                { data: kdjData.k, markLine: sessionMarkLine },
                 { data: kdjData.d },
                 { data: kdjData.j }
             ]
@@ -792,6 +798,23 @@ class ChartComponents {
         this.charts = {};
     }
 
+    /**
+     * 交易时段分界线：在新交易日和午后开盘的第一根K线处标记，类目轴按下标定位
+     */
+    getSessionMarkLine(data) {
+        const breaks = this.calendar.getSessionBreaks(data.map(item => new Date(item.timestamp).getTime()));
+        return {
+            symbol: 'none',
+            silent: true,
+            animation: false,
+            label: {show: false},
+            data: breaks.map(item => ({
+                xAxis: item.index,
+                lineStyle: {color: '#909399', width: 1, type: item.type === 'day' ? 'dashed' : 'dotted'}
+            }))
+        };
+    }
+
     /**
      * 格式化时间
      */